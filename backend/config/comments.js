@@ -0,0 +1,18 @@
+/**
+ * Comment Configuration
+ *
+ * Reactions that can be added to comments. Each user can add each
+ * reaction once per comment; adding it again removes it.
+ *
+ * @module config/comments
+ */
+
+/**
+ * Emoji accepted as reactions
+ * @type {string[]}
+ */
+const REACTIONS = ['👍', '👎', '😄', '🎉', '😕', '❤️', '🚀', '👀'];
+
+module.exports = {
+  REACTIONS
+};
@@ -0,0 +1,151 @@
+/**
+ * Application Configuration
+ *
+ * Settings read from the environment, with defaults suitable for local
+ * development. Modules read configuration from here instead of accessing
+ * `process.env` directly.
+ *
+ * @module config/config
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Express "trust proxy" value from TRUST_PROXY: true, a number of proxy
+// hops, or a list of trusted addresses and subnets; off when unset
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+module.exports = {
+  app: {
+    // Public URL of the frontend, used for links in emails
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+    // Proxies in front of the app whose X-Forwarded-For is believed, so that
+    // req.ip is the client's address (e.g. 1 behind the Railway proxy)
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY)
+  },
+  auth: {
+    // Lifetime of JWT access tokens (any value accepted by jsonwebtoken)
+    accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    // Lifetime of refresh tokens and their sessions, in days
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+    // Lifetime of password reset links, in minutes
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+    // Lifetime of email verification links, in hours
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+    // Minimum time between two verification emails for the same user, in seconds
+    verificationResendIntervalSeconds: parseInt(process.env.VERIFICATION_RESEND_INTERVAL_SECONDS, 10) || 60,
+    // What users with an unverified email may do:
+    // full (everything), read-only (GET requests only) or blocked (nothing)
+    unverifiedUserPolicy: process.env.UNVERIFIED_USER_POLICY || 'read-only',
+    // Name shown in authenticator apps for two-factor authentication
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Issue Tracker',
+    // Time allowed to complete the second login step, in minutes
+    twoFactorChallengeMinutes: 5
+  },
+  loginThrottle: {
+    // Where failed attempts are tracked: memory (single instance) or mongo
+    store: process.env.LOGIN_THROTTLE_STORE || 'memory',
+    // Failures allowed before a lockout, per account and per client IP
+    maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5,
+    maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    // Exponential backoff between attempts once the free attempts are used up
+    freeAttempts: 2,
+    backoffBaseSeconds: 1,
+    backoffMaxSeconds: 60,
+    // Failure counters are forgotten after this much time without failures
+    resetAfterMinutes: 60
+  },
+  mail: {
+    // Transport used to deliver email: console, file or smtp
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Issue Tracker <no-reply@issuetracker.local>',
+    // Output directory of the file transport
+    fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'issue-tracker-mail'),
+    // Server of the smtp transport; secure uses TLS from the start (port 465),
+    // otherwise STARTTLS is used when the server offers it
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    },
+    // Hour of the day (UTC) at which daily notification digests are sent
+    digestHour: parseInt(process.env.MAIL_DIGEST_HOUR ?? '8', 10)
+  },
+  workflow: {
+    // JSON file replacing the default status workflow in config/workflow.js
+    file: process.env.WORKFLOW_FILE || ''
+  },
+  sla: {
+    // JSON file replacing the default SLA policies in config/sla.js
+    file: process.env.SLA_FILE || '',
+    // How often stored SLA states are brought up to date, in seconds
+    sweepIntervalSeconds: parseInt(process.env.SLA_SWEEP_INTERVAL_SECONDS, 10) || 60
+  },
+  webhooks: {
+    // Attempts per delivery before it is marked as failed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+    // Wait before the first retry; doubled for every further retry
+    retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30,
+    // Time allowed for the receiver to answer, in milliseconds
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // How often due retries are looked for, in seconds
+    retryIntervalSeconds: 15
+  },
+  realtime: {
+    // How events reach the clients of every server instance:
+    // memory (single instance) or mongo (shared capped collection)
+    broker: process.env.REALTIME_BROKER || 'memory',
+    // Interval of keep-alive comments on open streams, in seconds
+    heartbeatSeconds: 25,
+    // How often the projects a connected user can see are checked again
+    accessCheckSeconds: 60
+  },
+  storage: {
+    // Where uploaded files are kept: local (disk) or s3 (S3-compatible
+    // object storage, such as AWS S3 or MinIO)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    // Root directory of the local driver
+    localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'uploads'),
+    // Bucket and credentials of the s3 driver. Set endpoint and
+    // forcePathStyle for S3-compatible services such as MinIO.
+    s3: {
+      bucket: process.env.S3_BUCKET || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    },
+    // Lifetime of signed download links, in seconds
+    signedUrlTtlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_TTL_SECONDS, 10) || 300
+  },
+  avatars: {
+    // Largest profile picture accepted, in megabytes
+    maxFileSizeMb: 5,
+    // Width and height of the stored profile picture, in pixels
+    size: 512,
+    // Sizes of the square thumbnails generated for each profile picture
+    thumbnailSizes: [32, 64, 128]
+  },
+  attachments: {
+    // Largest file accepted, in megabytes
+    maxFileSizeMb: parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10,
+    // Files accepted per upload request
+    maxFilesPerUpload: 10,
+    // Content types that may be uploaded, comma-separated in the environment
+    allowedTypes: (process.env.ATTACHMENT_ALLOWED_TYPES ||
+      'image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/csv,application/json,application/zip')
+      .split(',').map((type) => type.trim().toLowerCase()).filter(Boolean)
+  }
+};
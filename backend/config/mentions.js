@@ -0,0 +1,41 @@
+/**
+ * Mention Configuration
+ *
+ * Issue descriptions and comments mention users as @username and refer to
+ * other issues as #number. These settings define what a username looks
+ * like and bound how many mentions and references one text can hold.
+ *
+ * @module config/mentions
+ */
+
+/**
+ * Usernames: lowercase letters, digits, hyphens and underscores, starting
+ * and ending with a letter or digit, at most 30 characters
+ * @type {RegExp}
+ */
+const USERNAME_PATTERN = /^[a-z0-9](?:[a-z0-9_-]{0,28}[a-z0-9])?$/;
+
+/**
+ * Maximum length of a username
+ * @type {number}
+ */
+const USERNAME_MAX_LENGTH = 30;
+
+/**
+ * Users notified for one text at most; further mentions are ignored
+ * @type {number}
+ */
+const MAX_MENTIONS = 50;
+
+/**
+ * Issues referenced by one text at most; further references are ignored
+ * @type {number}
+ */
+const MAX_REFERENCES = 50;
+
+module.exports = {
+  USERNAME_PATTERN,
+  USERNAME_MAX_LENGTH,
+  MAX_MENTIONS,
+  MAX_REFERENCES
+};
@@ -0,0 +1,33 @@
+/**
+ * Notification Types
+ *
+ * Events that create in-app notifications for the watchers of an issue.
+ * Users can turn each type off in their notification preferences; all
+ * types are on by default. Notifications are also emailed, right away or
+ * in a daily digest, depending on the user's email delivery setting.
+ *
+ * - `status_change`: the status of a watched issue changed
+ * - `comment`: someone commented on a watched issue
+ * - `assignment`: users were assigned to a watched issue
+ * - `mention`: someone mentioned the user
+ *
+ * @module config/notifications
+ */
+
+/**
+ * Types of notifications
+ * @type {string[]}
+ */
+const NOTIFICATION_TYPES = ['status_change', 'comment', 'assignment', 'mention'];
+
+/**
+ * How notifications are emailed: each one as it happens, once a day in a
+ * digest, or not at all
+ * @type {string[]}
+ */
+const EMAIL_DELIVERY_MODES = ['immediate', 'daily', 'off'];
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  EMAIL_DELIVERY_MODES
+};
@@ -0,0 +1,115 @@
+/**
+ * Roles and Permissions
+ *
+ * Central definition of the user roles known to the system and the
+ * permissions each of them grants. The same roles are used within
+ * projects, where a member's project role replaces their global role.
+ * Routes never check role names directly; they ask for a permission
+ * through the `authorize` middleware or the `hasPermission` helper, so
+ * changing what a role may do only requires editing this file. The
+ * scopes available to personal access tokens are defined here as well.
+ *
+ * @module config/roles
+ */
+
+/**
+ * Available user roles, from least to most privileged
+ * @type {string[]}
+ */
+const ROLES = ['reporter', 'maintainer', 'admin'];
+
+/**
+ * Role assigned to newly registered users
+ * @type {string}
+ */
+const DEFAULT_ROLE = 'reporter';
+
+/**
+ * Permission names used across the API
+ * @enum {string}
+ */
+const PERMISSIONS = {
+  ISSUE_READ: 'issue:read',
+  ISSUE_CREATE: 'issue:create',
+  ISSUE_UPDATE_OWN: 'issue:update-own',
+  ISSUE_UPDATE_ANY: 'issue:update-any',
+  ISSUE_DELETE: 'issue:delete',
+  COMMENT_CREATE: 'comment:create',
+  COMMENT_MODERATE: 'comment:moderate',
+  LABEL_MANAGE: 'label:manage',
+  PROJECT_CREATE: 'project:create',
+  PROJECT_MANAGE: 'project:manage',
+  MILESTONE_MANAGE: 'milestone:manage',
+  USER_READ: 'user:read',
+  USER_MANAGE: 'user:manage',
+  WEBHOOK_MANAGE: 'webhook:manage'
+};
+
+const reporterPermissions = [
+  PERMISSIONS.ISSUE_READ,
+  PERMISSIONS.ISSUE_CREATE,
+  PERMISSIONS.ISSUE_UPDATE_OWN,
+  PERMISSIONS.COMMENT_CREATE
+];
+
+const maintainerPermissions = [
+  ...reporterPermissions,
+  PERMISSIONS.ISSUE_UPDATE_ANY,
+  PERMISSIONS.COMMENT_MODERATE,
+  PERMISSIONS.LABEL_MANAGE,
+  PERMISSIONS.PROJECT_CREATE,
+  PERMISSIONS.MILESTONE_MANAGE,
+  PERMISSIONS.USER_READ
+];
+
+const adminPermissions = [
+  ...maintainerPermissions,
+  PERMISSIONS.ISSUE_DELETE,
+  PERMISSIONS.PROJECT_MANAGE,
+  PERMISSIONS.USER_MANAGE,
+  PERMISSIONS.WEBHOOK_MANAGE
+];
+
+/**
+ * Permissions granted to each role
+ * @type {Object<string, string[]>}
+ */
+const ROLE_PERMISSIONS = {
+  reporter: reporterPermissions,
+  maintainer: maintainerPermissions,
+  admin: adminPermissions
+};
+
+/**
+ * Scopes that can be granted to personal access tokens. A token can only
+ * reach routes that declare one of its scopes, and never more than the
+ * role of its owner allows.
+ * @type {string[]}
+ */
+const TOKEN_SCOPES = [
+  'issues:read',
+  'issues:write',
+  'comments:write',
+  'notifications:read',
+  'notifications:write'
+];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  TOKEN_SCOPES,
+  hasPermission
+};
@@ -0,0 +1,190 @@
+/**
+ * Service Level Agreements
+ *
+ * Defines how quickly issues must get a first response and be resolved.
+ * Policies are checked in order and the first one matching an issue's
+ * priority and severity applies. Times can be counted around the clock
+ * or only during business hours. The default policies can be replaced by
+ * a JSON file of the same shape through SLA_FILE; it is validated when
+ * the server starts.
+ *
+ * Policy fields:
+ * - `name`: label shown to users, e.g. "Urgent"
+ * - `priority`, `severity`: values the policy applies to; any value when omitted
+ * - `responseHours`: time allowed until the first response
+ * - `resolutionHours`: time allowed until the issue is done
+ * - `businessHours`: count only business hours (default true when a
+ *   business-hours calendar is defined)
+ *
+ * Calendar fields (`businessHours` at the top level, or null for 24/7):
+ * - `timezone`: IANA time zone, e.g. "Europe/Berlin" (default UTC)
+ * - `days`: working days, 0 = Sunday ... 6 = Saturday
+ * - `start`, `end`: working hours as "HH:MM"
+ * - `holidays`: non-working dates as "YYYY-MM-DD"
+ *
+ * @module config/sla
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Persisted SLA states of an issue
+ * @type {string[]}
+ */
+const SLA_STATES = ['on_track', 'at_risk', 'breached'];
+
+// Values policies can refer to; these match the Issue model enums
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+const SEVERITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+/**
+ * Default SLA. Resolution times match the overdue thresholds used before
+ * SLAs existed.
+ * @type {Object}
+ */
+const DEFAULT_SLA = {
+  // Share of the allowed time after which an issue is at risk
+  atRiskRatio: 0.75,
+  businessHours: null,
+  policies: [
+    { name: 'Urgent', priority: ['Urgent'], responseHours: 4, resolutionHours: 24 },
+    { name: 'High', priority: ['High'], responseHours: 8, resolutionHours: 72 },
+    { name: 'Medium', priority: ['Medium'], responseHours: 24, resolutionHours: 168 },
+    { name: 'Low', responseHours: 48, resolutionHours: 336 }
+  ]
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Convert "HH:MM" to minutes after midnight
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const validateCalendar = (calendar, errors) => {
+  const timezone = calendar.timezone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    errors.push(`businessHours.timezone '${timezone}' is not a known time zone`);
+  }
+
+  const days = calendar.days || [1, 2, 3, 4, 5];
+  if (!Array.isArray(days) || days.length === 0 ||
+      !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    errors.push('businessHours.days must be a non-empty array of weekdays 0-6');
+  }
+
+  const start = calendar.start || '09:00';
+  const end = calendar.end || '17:00';
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    errors.push('businessHours.start and end must be times as HH:MM');
+  } else if (toMinutes(start) >= toMinutes(end)) {
+    errors.push('businessHours.start must be before end');
+  }
+
+  const holidays = calendar.holidays || [];
+  if (!Array.isArray(holidays) || !holidays.every((day) => DATE_PATTERN.test(day))) {
+    errors.push('businessHours.holidays must be an array of dates as YYYY-MM-DD');
+  }
+
+  if (errors.length > 0) {
+    return null;
+  }
+  return {
+    timezone,
+    days,
+    startMinutes: toMinutes(start),
+    endMinutes: toMinutes(end),
+    holidays
+  };
+};
+
+/**
+ * Check an SLA definition and fill in optional fields
+ * @param {Object} sla - SLA definition
+ * @returns {Object} Normalized SLA
+ * @throws {Error} If the definition is inconsistent
+ */
+const validateSla = (sla) => {
+  const errors = [];
+
+  const atRiskRatio = sla.atRiskRatio === undefined ? DEFAULT_SLA.atRiskRatio : sla.atRiskRatio;
+  if (typeof atRiskRatio !== 'number' || atRiskRatio <= 0 || atRiskRatio > 1) {
+    errors.push('atRiskRatio must be a number greater than 0 and at most 1');
+  }
+
+  const businessHours = sla.businessHours ? validateCalendar(sla.businessHours, errors) : null;
+
+  const policies = (Array.isArray(sla.policies) ? sla.policies : []).map((policy, index) => {
+    const name = policy.name || `Policy ${index + 1}`;
+    const priority = policy.priority || [];
+    const severity = policy.severity || [];
+
+    if (!Array.isArray(priority) || !priority.every((value) => PRIORITIES.includes(value))) {
+      errors.push(`policy '${name}' priority must be a list of: ${PRIORITIES.join(', ')}`);
+    }
+    if (!Array.isArray(severity) || !severity.every((value) => SEVERITIES.includes(value))) {
+      errors.push(`policy '${name}' severity must be a list of: ${SEVERITIES.join(', ')}`);
+    }
+    for (const field of ['responseHours', 'resolutionHours']) {
+      if (typeof policy[field] !== 'number' || policy[field] <= 0) {
+        errors.push(`policy '${name}' ${field} must be a positive number`);
+      }
+    }
+    if (policy.responseHours > policy.resolutionHours) {
+      errors.push(`policy '${name}' responseHours cannot exceed resolutionHours`);
+    }
+
+    return {
+      name,
+      priority,
+      severity,
+      responseHours: policy.responseHours,
+      resolutionHours: policy.resolutionHours,
+      businessHours: Boolean(businessHours) && policy.businessHours !== false
+    };
+  });
+
+  if (policies.length === 0) {
+    errors.push('policies must be a non-empty array');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid SLA definition: ${errors.join('; ')}`);
+  }
+
+  return { atRiskRatio, businessHours, policies };
+};
+
+const loadSla = () => {
+  if (!config.sla.file) {
+    return validateSla(DEFAULT_SLA);
+  }
+  const file = path.resolve(config.sla.file);
+  return validateSla(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+const sla = loadSla();
+
+/**
+ * Find the policy that applies to an issue
+ * @param {Object} issue - Issue with priority and severity
+ * @returns {Object|null} First matching policy, or null if none applies
+ */
+const policyFor = (issue) => sla.policies.find((policy) =>
+  (policy.priority.length === 0 || policy.priority.includes(issue.priority)) &&
+  (policy.severity.length === 0 || policy.severity.includes(issue.severity))
+) || null;
+
+module.exports = {
+  SLA_STATES,
+  DEFAULT_SLA,
+  sla,
+  validateSla,
+  policyFor
+};
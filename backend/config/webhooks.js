@@ -0,0 +1,51 @@
+/**
+ * Webhook Events
+ *
+ * Events that webhook subscriptions can choose from. Each is sent as a
+ * JSON payload signed with the subscription's secret (see
+ * utils/webhooks).
+ *
+ * - `issue.created`: an issue was created
+ * - `issue.updated`: fields, assignees or links of an issue changed
+ * - `issue.deleted`: an issue was deleted
+ * - `comment.created`: a comment was added to an issue
+ *
+ * The `ping` event is not subscribed to; it is sent on request to test a
+ * subscription.
+ *
+ * @module config/webhooks
+ */
+
+/**
+ * Events a webhook can subscribe to
+ * @type {string[]}
+ */
+const WEBHOOK_EVENTS = ['issue.created', 'issue.updated', 'issue.deleted', 'comment.created'];
+
+/**
+ * Event sent to test a webhook
+ * @type {string}
+ */
+const PING_EVENT = 'ping';
+
+/**
+ * Webhook event of each activity action
+ * @type {Object<string, string>}
+ */
+const ACTIVITY_EVENTS = {
+  created: 'issue.created',
+  updated: 'issue.updated',
+  assigned: 'issue.updated',
+  unassigned: 'issue.updated',
+  linked: 'issue.updated',
+  unlinked: 'issue.updated',
+  referenced: 'issue.updated',
+  commented: 'comment.created',
+  deleted: 'issue.deleted'
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  ACTIVITY_EVENTS
+};
@@ -0,0 +1,249 @@
+/**
+ * Issue Status Workflow
+ *
+ * Defines the statuses an issue can have and the transitions between
+ * them. Each transition lists the roles allowed to perform it and what
+ * must be provided when it is performed. The status enum of the Issue
+ * model, the update route and the transitions endpoint all read from
+ * here. The default workflow can be replaced by a JSON file of the same
+ * shape through WORKFLOW_FILE; it is validated when the server starts.
+ *
+ * `duplicateStatus` is the done status an issue is moved to when it is
+ * marked as a duplicate; it defaults to the last done status.
+ *
+ * Transition fields:
+ * - `name`: label shown to users, e.g. "Resolve"
+ * - `from`: statuses the transition starts from, or "*" for any other status
+ * - `to`: target status
+ * - `roles`: roles allowed to perform it
+ * - `allowAuthor`: whether the issue's author may perform it regardless of role
+ * - `requires.comment`: a comment explaining the change must be given
+ * - `requires.fields`: issue fields that must be set once the change is made
+ *
+ * @module config/workflow
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { ROLES } = require('./roles');
+
+/**
+ * Status categories. Every status belongs to one of them; features such as
+ * search (`is:open`) and overdue checks work on categories, so they keep
+ * working with custom statuses.
+ * @type {string[]}
+ */
+const STATUS_CATEGORIES = ['open', 'in_progress', 'done'];
+
+/**
+ * Default workflow
+ * @type {Object}
+ */
+const DEFAULT_WORKFLOW = {
+  initial: 'Open',
+  duplicateStatus: 'Closed',
+  statuses: [
+    { name: 'Open', category: 'open' },
+    { name: 'In Progress', category: 'in_progress' },
+    { name: 'Resolved', category: 'done' },
+    { name: 'Closed', category: 'done' }
+  ],
+  transitions: [
+    {
+      name: 'Start progress',
+      from: ['Open'],
+      to: 'In Progress',
+      roles: ['maintainer', 'admin'],
+      requires: { fields: ['assignees'] }
+    },
+    {
+      name: 'Stop progress',
+      from: ['In Progress'],
+      to: 'Open',
+      roles: ['maintainer', 'admin']
+    },
+    {
+      name: 'Resolve',
+      from: ['Open', 'In Progress'],
+      to: 'Resolved',
+      roles: ['maintainer', 'admin'],
+      requires: { comment: true }
+    },
+    {
+      name: 'Close',
+      from: ['Resolved'],
+      to: 'Closed',
+      roles: ['maintainer', 'admin'],
+      allowAuthor: true
+    },
+    {
+      name: "Close as won't fix",
+      from: ['Open', 'In Progress'],
+      to: 'Closed',
+      roles: ['maintainer', 'admin'],
+      requires: { comment: true }
+    },
+    {
+      name: 'Reopen',
+      from: ['Resolved', 'Closed'],
+      to: 'Open',
+      roles: ['maintainer', 'admin'],
+      allowAuthor: true,
+      requires: { comment: true }
+    }
+  ]
+};
+
+/**
+ * Check a workflow definition and fill in optional transition fields
+ * @param {Object} workflow - Workflow definition
+ * @returns {Object} Normalized workflow
+ * @throws {Error} If the definition is inconsistent
+ */
+const validateWorkflow = (workflow) => {
+  const errors = [];
+  const statuses = Array.isArray(workflow.statuses) ? workflow.statuses : [];
+  const names = statuses.map((status) => status.name);
+
+  if (statuses.length === 0) {
+    errors.push('statuses must be a non-empty array');
+  }
+  if (new Set(names).size !== names.length) {
+    errors.push('status names must be unique');
+  }
+  for (const status of statuses) {
+    if (!status.name || !STATUS_CATEGORIES.includes(status.category)) {
+      errors.push(`status '${status.name}' needs a name and a category (${STATUS_CATEGORIES.join(', ')})`);
+    }
+  }
+  if (!names.includes(workflow.initial)) {
+    errors.push(`initial status '${workflow.initial}' is not a defined status`);
+  }
+
+  const doneNames = statuses.filter((status) => status.category === 'done').map((status) => status.name);
+  const duplicateStatus = workflow.duplicateStatus || doneNames[doneNames.length - 1];
+  if (!doneNames.includes(duplicateStatus)) {
+    errors.push('duplicateStatus must be a status in the done category');
+  }
+
+  const transitions = (workflow.transitions || []).map((transition) => {
+    const from = transition.from === '*'
+      ? names.filter((name) => name !== transition.to)
+      : transition.from || [];
+    const roles = transition.roles || [];
+
+    for (const status of [...from, transition.to]) {
+      if (!names.includes(status)) {
+        errors.push(`transition '${transition.name}' uses unknown status '${status}'`);
+      }
+    }
+    for (const role of roles) {
+      if (!ROLES.includes(role)) {
+        errors.push(`transition '${transition.name}' uses unknown role '${role}'`);
+      }
+    }
+
+    return {
+      name: transition.name || `Move to ${transition.to}`,
+      from,
+      to: transition.to,
+      roles,
+      allowAuthor: Boolean(transition.allowAuthor),
+      requires: {
+        comment: Boolean(transition.requires && transition.requires.comment),
+        fields: (transition.requires && transition.requires.fields) || []
+      }
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid workflow definition: ${errors.join('; ')}`);
+  }
+
+  return { initial: workflow.initial, duplicateStatus, statuses, transitions };
+};
+
+const loadWorkflow = () => {
+  if (!config.workflow.file) {
+    return validateWorkflow(DEFAULT_WORKFLOW);
+  }
+  const file = path.resolve(config.workflow.file);
+  return validateWorkflow(JSON.parse(fs.readFileSync(file, 'utf8')));
+};
+
+const workflow = loadWorkflow();
+
+/**
+ * Names of all statuses, in workflow order
+ * @type {string[]}
+ */
+const STATUS_NAMES = workflow.statuses.map((status) => status.name);
+
+/**
+ * Status given to new issues
+ * @type {string}
+ */
+const INITIAL_STATUS = workflow.initial;
+
+/**
+ * Status given to issues marked as duplicates
+ * @type {string}
+ */
+const DUPLICATE_STATUS = workflow.duplicateStatus;
+
+/**
+ * Names of the statuses in some categories
+ * @param {...string} categories - Status categories
+ * @returns {string[]} Status names
+ */
+const statusesIn = (...categories) => workflow.statuses
+  .filter((status) => categories.includes(status.category))
+  .map((status) => status.name);
+
+/**
+ * Transitions leaving a status
+ * @param {string} status - Current status
+ * @returns {Object[]} Transitions
+ */
+const transitionsFrom = (status) => workflow.transitions
+  .filter((transition) => transition.from.includes(status));
+
+/**
+ * Check whether a user may perform a transition on an issue
+ * @param {Object} transition - Transition
+ * @param {Object} issue - Issue document
+ * @param {Object} user - User document
+ * @param {string} [role=user.role] - Role to check, e.g. the user's project role
+ * @returns {boolean} True if the user may perform it
+ */
+const canPerform = (transition, issue, user, role = user.role) => transition.roles.includes(role) ||
+  (transition.allowAuthor && issue.author.toString() === user._id.toString());
+
+/**
+ * Fields required by a transition that are empty on an issue
+ * @param {Object} transition - Transition
+ * @param {Object} issue - Issue with the changes applied
+ * @returns {string[]} Names of the missing fields
+ */
+const missingFields = (transition, issue) => transition.requires.fields.filter((field) => {
+  const value = issue[field];
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  return value === undefined || value === null || String(value).trim() === '';
+});
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  STATUS_NAMES,
+  INITIAL_STATUS,
+  DUPLICATE_STATUS,
+  workflow,
+  validateWorkflow,
+  statusesIn,
+  transitionsFrom,
+  canPerform,
+  missingFields
+};
@@ -0,0 +1,45 @@
+const config = require('../config/config');
+const { getSetting } = require('../utils/settings');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Check whether a user's role requires two-factor authentication
+const requiresTwoFactor = async (user) => {
+  const security = await getSetting('security');
+  return security.requireTwoFactorRoles.includes(user.role);
+};
+
+// Restrict what users may do until their account meets the policies:
+// - users with an unverified email are limited by UNVERIFIED_USER_POLICY
+// - users whose role requires two-factor authentication must enable it
+// The auth routes are not covered, so users can still fix their account.
+// Must be used after protect.
+const enforceAccountPolicy = async (req, res, next) => {
+  const policy = config.auth.unverifiedUserPolicy;
+
+  if (!req.user.twoFactor.enabled && (await requiresTwoFactor(req.user))) {
+    return res.status(403).json({
+      success: false,
+      code: 'TWO_FACTOR_REQUIRED',
+      message: 'Your role requires two-factor authentication. Please enable it to continue'
+    });
+  }
+
+  if (req.user.emailVerified || policy === 'full') {
+    return next();
+  }
+
+  if (policy === 'read-only' && READ_ONLY_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: policy === 'read-only'
+      ? 'Please verify your email address before making changes'
+      : 'Please verify your email address to continue'
+  });
+};
+
+module.exports = { enforceAccountPolicy, requiresTwoFactor };
@@ -1,36 +1,161 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { hasPermission } = require('../config/roles');
+const { hashToken } = require('../utils/helpers');
 
-// Protect routes
-const protect = async (req, res, next) => {
-  let token;
+// Prefix that distinguishes personal access tokens from JWTs
+const PERSONAL_TOKEN_PREFIX = 'itp_';
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+// How often the last-used time of a session or token is written back
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+const touch = async (doc, field, intervalMs) => {
+  if (!doc[field] || Date.now() - doc[field].getTime() > intervalMs) {
+    doc[field] = new Date();
+    await doc.save();
+  }
+};
 
-      // Get user from the token
-      req.user = await User.findById(decoded.id);
+// Authenticate a JWT access token. Returns an error message on failure.
+const authenticateJwt = async (req, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return 'Not authorized';
+  }
+
+  // Get user and session from the token
+  req.user = await User.findById(decoded.id);
+  req.session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+  // Reject tokens of users that no longer exist
+  if (!req.user) {
+    return 'Not authorized, user not found';
+  }
 
-      next();
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized'
-      });
-    }
+  // Reject tokens whose session was revoked or that predate a password change
+  if (!req.session || !req.session.isActive() ||
+      !req.session.user.equals(req.user._id) ||
+      req.user.changedPasswordAfter(decoded.iat)) {
+    return 'Session expired, please log in again';
   }
 
-  if (!token) {
+  req.auth = { type: 'session', sessionId: req.session.id };
+  await touch(req.session, 'lastUsedAt', SESSION_TOUCH_INTERVAL_MS);
+  return null;
+};
+
+// Authenticate a personal access token. Returns an error message on failure.
+const authenticatePersonalToken = async (req, token) => {
+  const accessToken = await PersonalAccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || !accessToken.isActive()) {
+    return 'Access token is invalid, expired or revoked';
+  }
+
+  req.user = await User.findById(accessToken.user);
+  req.session = null;
+
+  if (!req.user) {
+    return 'Not authorized, user not found';
+  }
+
+  req.auth = { type: 'token', tokenId: accessToken.id, scopes: accessToken.scopes };
+  await touch(accessToken, 'lastUsedAt', TOKEN_TOUCH_INTERVAL_MS);
+  return null;
+};
+
+// Protect routes. Accepts JWT access tokens and personal access tokens.
+const protect = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
     return res.status(401).json({
       success: false,
       message: 'Not authorized, no token'
     });
   }
+
+  // Get token from header
+  const token = req.headers.authorization.split(' ')[1] || '';
+
+  const error = token.startsWith(PERSONAL_TOKEN_PREFIX)
+    ? await authenticatePersonalToken(req, token)
+    : await authenticateJwt(req, token);
+
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      message: error
+    });
+  }
+
+  next();
 };
 
-module.exports = { protect };
+// Accept the token as an access_token query parameter when no
+// Authorization header is sent, for clients such as the browser's
+// EventSource that cannot set headers. Only use on routes that need it,
+// since URLs end up in logs and browser history. Must be used before protect.
+const tokenFromQuery = (req, res, next) => {
+  const token = req.query.access_token;
+  if (!req.headers.authorization && typeof token === 'string' && token) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  next();
+};
+
+// Restrict routes to users whose role grants every listed permission.
+// Inside a project the user's project role is checked instead of their
+// global role. Must be used after protect.
+const authorize = (...permissions) => (req, res, next) => {
+  const role = req.projectRole || (req.user && req.user.role);
+  const allowed = permissions.every((permission) => hasPermission(role, permission));
+
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+// Require personal access tokens to carry a scope. Requests made with a
+// login session are not affected. Must be used after protect.
+const requireScope = (scope) => (req, res, next) => {
+  if (req.auth.type === 'token' && !req.auth.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      message: `Access token is missing the required scope: ${scope}`
+    });
+  }
+
+  next();
+};
+
+// Reject personal access tokens on routes meant for interactive logins,
+// such as account and token management. Must be used after protect.
+const sessionOnly = (req, res, next) => {
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be used with an access token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  PERSONAL_TOKEN_PREFIX,
+  protect,
+  authorize,
+  requireScope,
+  sessionOnly,
+  tokenFromQuery
+};
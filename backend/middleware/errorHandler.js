@@ -0,0 +1,53 @@
+/**
+ * Global Error Handler
+ *
+ * Final Express error middleware. Converts errors that escape route
+ * handlers into the standard `{ success, message }` response shape.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Malformed JSON request body
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Malformed JSON in request body'
+    });
+  }
+
+  // Mongoose validation errors
+  if (err.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(err.errors).map((e) => e.message)
+    });
+  }
+
+  // Invalid ObjectId and similar cast failures
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid value for ${err.path}`
+    });
+  }
+
+  // Upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  console.error('Unhandled error:', err);
+  res.status(err.status || 500).json({
+    success: false,
+    message: err.status ? err.message : 'Server error',
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,125 @@
+const Project = require('../models/Project');
+const Issue = require('../models/Issue-final');
+const { isValidObjectId } = require('../utils/helpers');
+
+const sendNotFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+// Find a project and the user's role in it. Returns null if the project
+// does not exist or the user cannot see it.
+const findProjectFor = async (user, projectId) => {
+  const project = isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+  const role = project && project.roleOf(user);
+  return role ? { project, role } : null;
+};
+
+// Load the project named by :projectId into req.project and the user's
+// role in it into req.projectRole. Must be used after protect.
+const loadProject = async (req, res, next) => {
+  const access = await findProjectFor(req.user, req.params.projectId);
+  if (!access) {
+    return sendNotFound(res, 'Project not found');
+  }
+
+  req.project = access.project;
+  req.projectRole = access.role;
+  next();
+};
+
+// Work out which issues a request may see and store the condition in
+// req.issueScope. Under /api/projects/:projectId the request is limited
+// to that project and uses the member's project role (req.project,
+// req.projectRole); elsewhere it covers every project the user belongs to.
+// Projects the user cannot see are reported as not found.
+// Must be used after protect.
+const scopeIssues = async (req, res, next) => {
+  const { projectId } = req.params;
+
+  if (projectId === undefined) {
+    const projectIds = await Project.visibleIdsFor(req.user);
+    req.issueScope = projectIds ? { project: { $in: projectIds } } : {};
+    return next();
+  }
+
+  const access = await findProjectFor(req.user, projectId);
+  if (!access) {
+    return sendNotFound(res, 'Project not found');
+  }
+
+  req.project = access.project;
+  req.projectRole = access.role;
+  req.issueScope = { project: access.project._id };
+  next();
+};
+
+// Parameter handler for issue IDs: checks that the issue belongs to a
+// project the user can see and switches to the user's role in that
+// project. Unknown issues are left for the route to report.
+// Register with router.param('id', loadIssueProject) after scopeIssues.
+const loadIssueProject = async (req, res, next, id) => {
+  try {
+    if (!isValidObjectId(id)) {
+      return next();
+    }
+
+    const issue = await Issue.findById(id).select('project');
+    if (!issue) {
+      return next();
+    }
+
+    if (req.project) {
+      return issue.project && issue.project.equals(req.project._id)
+        ? next()
+        : sendNotFound(res, 'Issue not found');
+    }
+
+    const access = issue.project && await findProjectFor(req.user, issue.project.toString());
+    if (!access) {
+      return sendNotFound(res, 'Issue not found');
+    }
+
+    req.project = access.project;
+    req.projectRole = access.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Choose the project of an issue created outside /api/projects/:projectId:
+// the project given as `project` in the body, or the default project. The
+// project and the user's role in it are loaded as by loadProject. Requests
+// that already have a project are left alone. Must be used after
+// scopeIssues.
+const loadNewIssueProject = async (req, res, next) => {
+  if (req.project) {
+    return next();
+  }
+
+  const projectId = req.body && req.body.project;
+  let access;
+  if (projectId !== undefined) {
+    access = await findProjectFor(req.user, projectId);
+    if (!access) {
+      return sendNotFound(res, 'Project not found');
+    }
+  } else {
+    const project = await Project.findDefault();
+    const role = project && project.roleOf(req.user);
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give a project, or create issues through /api/projects/:projectId/issues'
+      });
+    }
+    access = { project, role };
+  }
+
+  req.project = access.project;
+  req.projectRole = access.role;
+  next();
+};
+
+module.exports = { loadProject, scopeIssues, loadIssueProject, loadNewIssueProject };
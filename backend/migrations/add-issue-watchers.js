@@ -0,0 +1,45 @@
+/**
+ * Migration: subscribe existing participants to their issues
+ *
+ * Issues created before watchers existed have nobody watching them. This
+ * migration adds the author, the assignees and everyone who commented on
+ * each issue as watchers, as would have happened had they acted after
+ * the upgrade. Watchers are only added, so it can be run again safely.
+ *
+ * Usage: node migrations/add-issue-watchers.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Issue = require('../models/Issue-final');
+const Comment = require('../models/Comment');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const issues = await Issue.find().select('author assignees').lean();
+    let updated = 0;
+
+    for (const issue of issues) {
+      const commenters = await Comment.find({ issue: issue._id }).distinct('author');
+      const participants = [issue.author, ...(issue.assignees || []), ...commenters].filter(Boolean);
+
+      const result = await Issue.updateOne(
+        { _id: issue._id },
+        { $addToSet: { watchers: { $each: participants } } },
+        { timestamps: false }
+      );
+      updated += result.modifiedCount;
+    }
+
+    console.log(`Added watchers to ${updated} of ${issues.length} issue(s)`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
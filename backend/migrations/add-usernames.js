@@ -0,0 +1,37 @@
+/**
+ * Migration: give existing users a username
+ *
+ * Users are mentioned in text as @username. Accounts created before
+ * usernames existed have none; this migration gives each one a username
+ * made from their email address, as registration does when no username
+ * is chosen. Users with a username are skipped, so it can be run again.
+ *
+ * Usage: node migrations/add-usernames.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const users = await User.find({ username: null }).select('email').sort({ createdAt: 1 }).lean();
+
+    for (const user of users) {
+      const username = await User.availableUsername(user.email.split('@')[0]);
+      await User.updateOne({ _id: user._id }, { $set: { username } }, { timestamps: false });
+      console.log(`  ${user.email} -> @${username}`);
+    }
+
+    console.log(`Gave ${users.length} user(s) a username`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,76 @@
+/**
+ * Migration: compute SLA deadlines for existing issues
+ *
+ * Issues created before SLAs were introduced have no deadlines or SLA
+ * state. This migration works out when each of them was first answered
+ * (the first comment by someone other than the author, or the first
+ * status change) and when it was resolved, then lets the Issue model
+ * compute the deadlines and state from the current policies. Issues that
+ * already have an SLA are left alone, so it can be run again safely.
+ *
+ * Usage: node migrations/compute-issue-sla.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Issue = require('../models/Issue-final');
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const { statusesIn } = require('../config/workflow');
+
+// Earliest of some dates, ignoring missing ones
+const earliest = (...dates) => dates
+  .filter(Boolean)
+  .reduce((first, date) => (!first || date < first ? date : first), null);
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const doneStatuses = statusesIn('done');
+    const issues = await Issue.find({ 'sla.policy': null });
+    let updated = 0;
+    let failed = 0;
+
+    for (const issue of issues) {
+      const [firstReply, statusChanges] = await Promise.all([
+        Comment.findOne({ issue: issue._id, author: { $ne: issue.author } }).sort({ createdAt: 1 }),
+        Activity.find({ issue: issue._id, action: 'updated', 'changes.field': 'status' }).sort({ createdAt: 1 })
+      ]);
+
+      const firstStatusChange = statusChanges.length > 0 ? statusChanges[0].createdAt : null;
+      let respondedAt = earliest(firstReply && firstReply.createdAt, firstStatusChange);
+      let resolvedAt = null;
+
+      if (doneStatuses.includes(issue.status)) {
+        // The last status change is when the issue was resolved; without
+        // history the last update is the best guess
+        resolvedAt = statusChanges.length > 0
+          ? statusChanges[statusChanges.length - 1].createdAt
+          : issue.updatedAt;
+        respondedAt = respondedAt || resolvedAt;
+      } else if (!respondedAt && issue.status !== issue.schema.path('status').defaultValue) {
+        respondedAt = issue.updatedAt;
+      }
+
+      issue.set('sla', { respondedAt, resolvedAt });
+      try {
+        // The deadlines are filled in by the model's save hook
+        await issue.save({ timestamps: false });
+        updated++;
+      } catch (error) {
+        console.error(`Could not update issue ${issue._id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log(`Computed the SLA of ${updated} issue(s); ${failed} failed`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,90 @@
+/**
+ * Migration: convert assignee names to user references
+ *
+ * Issues used to store the assignee as free text. They now reference
+ * users through `assignees`. Each old value is matched against user
+ * emails and names (case-insensitive). Matched issues get the user as
+ * their assignee and lose the old field; issues that cannot be matched
+ * keep it and are listed at the end, so they can be fixed by hand or
+ * picked up by running the migration again after creating the users.
+ *
+ * Usage: node migrations/convert-assignees-to-users.js [--dry-run]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Issue = require('../models/Issue-final');
+const User = require('../models/User');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find the users matching an old assignee value
+const findUsers = (value) => User.find({
+  $or: [
+    { email: value.toLowerCase() },
+    { name: new RegExp(`^${escapeRegex(value)}$`, 'i') }
+  ]
+}).select('_id');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB connected for migration${dryRun ? ' (dry run)' : ''}`);
+
+    // Read the raw documents, the schema no longer knows the old field
+    const issues = await Issue.collection
+      .find({ assignee: { $type: 'string' } })
+      .project({ title: 1, assignee: 1 })
+      .toArray();
+
+    const matches = new Map();
+    const unmatched = [];
+    let converted = 0;
+
+    for (const issue of issues) {
+      const value = issue.assignee.trim();
+      let update;
+
+      if (!value) {
+        update = { $set: { assignees: [] }, $unset: { assignee: '' } };
+      } else {
+        if (!matches.has(value.toLowerCase())) {
+          matches.set(value.toLowerCase(), await findUsers(value));
+        }
+        const users = matches.get(value.toLowerCase());
+
+        if (users.length !== 1) {
+          unmatched.push({
+            issue,
+            reason: users.length === 0 ? 'no matching user' : `${users.length} users match`
+          });
+          continue;
+        }
+        update = { $set: { assignees: [users[0]._id] }, $unset: { assignee: '' } };
+      }
+
+      if (!dryRun) {
+        await Issue.collection.updateOne({ _id: issue._id }, update);
+      }
+      converted++;
+    }
+
+    console.log(`${dryRun ? 'Would convert' : 'Converted'} ${converted} of ${issues.length} issue(s)`);
+
+    if (unmatched.length > 0) {
+      console.log(`\n${unmatched.length} issue(s) could not be matched and were left unchanged:`);
+      for (const { issue, reason } of unmatched) {
+        console.log(`  ${issue._id}  "${issue.title}"  assignee "${issue.assignee}" (${reason})`);
+      }
+    }
+
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,33 @@
+/**
+ * Migration: mark existing users as verified
+ *
+ * Accounts created before email verification was introduced have no
+ * `emailVerified` flag. Without this migration they would be limited by
+ * the unverified-user policy on their next login.
+ *
+ * Usage: node migrations/mark-existing-users-verified.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
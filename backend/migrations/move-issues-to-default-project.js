@@ -0,0 +1,66 @@
+/**
+ * Migration: move existing issues into a default project
+ *
+ * Issues now belong to a project and are only visible to its members.
+ * This migration creates a "Default" project (key DEFAULT) if it does not
+ * exist, adds every existing user to it with their global role, and moves
+ * all issues and activity entries without a project into it, so nobody
+ * loses access to issues they could see before. Running it again only
+ * picks up what is still missing.
+ *
+ * Usage: node migrations/move-issues-to-default-project.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Project = require('../models/Project');
+const Issue = require('../models/Issue-final');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+
+const DEFAULT_PROJECT = {
+  name: 'Default',
+  key: 'DEFAULT',
+  description: 'Issues created before projects were introduced'
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    let project = await Project.findOne({ key: DEFAULT_PROJECT.key });
+    if (!project) {
+      project = new Project(DEFAULT_PROJECT);
+      console.log(`Creating project ${DEFAULT_PROJECT.key}`);
+    }
+
+    const users = await User.find().select('role');
+    let added = 0;
+    for (const user of users) {
+      if (!project.memberFor(user._id)) {
+        project.members.push({ user: user._id, role: user.role });
+        added++;
+      }
+    }
+    await project.save();
+    console.log(`Added ${added} user(s) to project ${project.key}`);
+
+    const issues = await Issue.updateMany(
+      { project: { $exists: false } },
+      { $set: { project: project._id } }
+    );
+    const activities = await Activity.updateMany(
+      { project: { $exists: false } },
+      { $set: { project: project._id } }
+    );
+
+    console.log(`Moved ${issues.modifiedCount} issue(s) and ${activities.modifiedCount} activity entries into ${project.key}`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
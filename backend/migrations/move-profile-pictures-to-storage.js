@@ -0,0 +1,69 @@
+/**
+ * Migration: move profile pictures into file storage
+ *
+ * Profile pictures used to be saved as-is in uploads/profile-pictures and
+ * served statically from /uploads, which is no longer the case. This
+ * migration processes each old picture like a new upload (metadata
+ * removed, thumbnails generated), stores it with the configured storage
+ * driver, points the user at the new link and deletes the old file.
+ * Users whose old file is missing are listed and their picture is
+ * cleared. Users already migrated are skipped, so it can be run again.
+ *
+ * Usage: node migrations/move-profile-pictures-to-storage.js [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+const { LEGACY_PREFIX, saveAvatar, profilePictureUrl } = require('../utils/avatars');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const users = await User.find({ profilePicture: { $regex: `^${LEGACY_PREFIX}` } })
+      .select('name email profilePicture');
+    let moved = 0;
+    const missing = [];
+
+    for (const user of users) {
+      const filePath = path.join(__dirname, '..', user.profilePicture);
+      let buffer;
+      try {
+        buffer = await fs.promises.readFile(filePath);
+      } catch {
+        missing.push(user);
+        if (!dryRun) {
+          await User.updateOne({ _id: user._id }, { $set: { profilePicture: '' } });
+        }
+        continue;
+      }
+
+      if (!dryRun) {
+        const base = await saveAvatar(user._id, buffer);
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { profilePicture: profilePictureUrl(user._id, base), profilePictureKey: base } }
+        );
+        await fs.promises.unlink(filePath);
+      }
+      moved++;
+    }
+
+    console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} of ${users.length} profile picture(s)`);
+    for (const user of missing) {
+      console.log(`  File missing, picture ${dryRun ? 'would be ' : ''}cleared: ${user.name} <${user.email}> (${user.profilePicture})`);
+    }
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -0,0 +1,40 @@
+/**
+ * Migration: number existing issues
+ *
+ * Issues are referenced in text as #number. Issues created before numbers
+ * existed have none; this migration numbers them in the order they were
+ * created, continuing the sequence new issues draw from. Numbered issues
+ * are skipped, so it can be run again safely.
+ *
+ * Usage: node migrations/number-existing-issues.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Issue = require('../models/Issue-final');
+const Counter = require('../models/Counter');
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('MongoDB connected for migration');
+
+    const issues = await Issue.find({ number: null }).select('_id').sort({ createdAt: 1, _id: 1 }).lean();
+
+    for (const issue of issues) {
+      await Issue.updateOne(
+        { _id: issue._id },
+        { $set: { number: await Counter.next('issue') } },
+        { timestamps: false }
+      );
+    }
+
+    console.log(`Numbered ${issues.length} issue(s)`);
+    process.exit();
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
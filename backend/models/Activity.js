@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One entry in the audit trail of an issue. Entries are kept when the
+// issue is deleted so the history of removed issues can still be read.
+const ActivitySchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  // Kept so access to the history of deleted issues can still be checked
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'assigned', 'unassigned', 'commented', 'linked', 'unlinked', 'referenced', 'deleted'],
+    required: true
+  },
+  // Field changes for 'updated', final values for 'deleted'
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Users added or removed by 'assigned' and 'unassigned'
+  users: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Comment added by 'commented'
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Link added by 'linked' or removed by 'unlinked', as seen from the issue
+  link: {
+    type: { type: String },
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue'
+    }
+  },
+  // Description or comment that mentions the issue, for 'referenced'
+  source: {
+    issue: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Issue'
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment'
+    }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ActivitySchema.index({ issue: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Activity', ActivitySchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// File attached to an issue, or to one of its comments when comment is
+// set. The file itself is kept in file storage under a key derived from
+// storedName (see utils/attachments); filename is the name it was
+// uploaded with and is used for downloads.
+const AttachmentSchema = new mongoose.Schema({
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  storedName: {
+    type: String,
+    required: true,
+    select: false
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Hex SHA-256 of the file contents
+  checksum: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AttachmentSchema.index({ issue: 1, comment: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', AttachmentSchema);
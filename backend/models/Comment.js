@@ -1,9 +1,44 @@
 const mongoose = require("mongoose");
+const { REACTIONS } = require('../config/comments');
+
+// Earlier content of an edited comment, kept as its edit history
+const CommentEditSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  // When this content was replaced, and by whom
+  editedAt: {
+    type: Date,
+    required: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+// One user's reaction; a user adds each emoji at most once
+const ReactionSchema = new mongoose.Schema({
+  emoji: {
+    type: String,
+    enum: REACTIONS,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, { _id: false });
 
 const CommentSchema = new mongoose.Schema({
+  // Emptied when a comment with replies is deleted
   content: {
     type: String,
-    required: true,
+    required: function() {
+      return !this.deletedAt;
+    },
     trim: true
   },
   author: {
@@ -15,9 +50,49 @@ const CommentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Issue',
     required: true
+  },
+  // Top-level comment this one replies to; threads are one level deep
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  edits: {
+    type: [CommentEditSchema],
+    select: false
+  },
+  reactions: [ReactionSchema],
+  // Users and issues named in the content, parsed when it is saved (see
+  // utils/references)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  references: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  // Deleted comments with replies stay as placeholders so the thread is kept
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+CommentSchema.virtual('edited').get(function() {
+  return Boolean(this.editedAt);
+});
+
+// Full-text search over comment content, used by issue search
+CommentSchema.index({ content: 'text' });
+CommentSchema.index({ issue: 1, parent: 1, createdAt: 1 });
+
 module.exports = mongoose.model("Comment", CommentSchema);
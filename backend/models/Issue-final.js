@@ -9,20 +9,50 @@
  */
 
 const mongoose = require("mongoose");
+const { STATUS_NAMES, INITIAL_STATUS, transitionsFrom, statusesIn } = require("../config/workflow");
+const { SLA_STATES } = require("../config/sla");
+const { computeSla, slaState } = require("../utils/sla");
+const Counter = require("./Counter");
+
+/**
+ * Maximum number of users that can be assigned to one issue
+ * @type {number}
+ */
+const MAX_ASSIGNEES = 10;
 
 /**
  * Issue Schema Definition
  * @typedef {Object} Issue
+ * @property {number} number - Sequential number, referenced as #number in text
  * @property {string} title - Issue title (required)
  * @property {string} description - Detailed issue description
- * @property {string} status - Current status (Open, In Progress, Resolved, Closed)
+ * @property {ObjectId[]} mentions - Users mentioned in the description
+ * @property {ObjectId[]} references - Issues referenced in the description
+ * @property {string} status - Current status, one of the workflow statuses (config/workflow)
  * @property {string} priority - Issue priority level (Low, Medium, High, Urgent)
- * @property {string} assignee - Person assigned to handle the issue
+ * @property {string} severity - Impact of the problem (Low, Medium, High, Critical)
+ * @property {string} category - Kind of issue (Bug, Feature, Enhancement, ...)
+ * @property {ObjectId[]} labels - Labels attached to the issue
+ * @property {ObjectId[]} assignees - Users assigned to handle the issue
  * @property {ObjectId} author - User who created the issue (required)
+ * @property {ObjectId[]} watchers - Users notified of changes to the issue
+ * @property {ObjectId} project - Project the issue belongs to (required)
+ * @property {ObjectId} milestone - Milestone of the same project the issue is planned for
+ * @property {Date} dueDate - Date the issue should be done by, set by users
+ * @property {Object} sla - SLA deadlines and state, maintained automatically
+ *   from the policy in config/sla (see utils/sla)
  * @property {Date} createdAt - Issue creation timestamp (auto-generated)
  * @property {Date} updatedAt - Last update timestamp (auto-generated)
  */
 const IssueSchema = new mongoose.Schema({
+  // Given on creation; issues created before numbering are numbered by
+  // migrations/number-existing-issues.js
+  number: {
+    type: Number,
+    unique: true,
+    sparse: true
+  },
+  
   title: {
     type: String,
     required: [true, 'Issue title is required'],
@@ -38,13 +68,24 @@ const IssueSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Parsed from the description when it is saved (see utils/references)
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  references: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue'
+  }],
+  
   status: {
     type: String,
     enum: {
-      values: ["Open", "In Progress", "Resolved", "Closed"],
-      message: 'Status must be one of: Open, In Progress, Resolved, Closed'
+      values: STATUS_NAMES,
+      message: `Status must be one of: ${STATUS_NAMES.join(', ')}`
     },
-    default: "Open",
+    default: INITIAL_STATUS,
     required: true
   },
   
@@ -58,11 +99,40 @@ const IssueSchema = new mongoose.Schema({
     required: true
   },
   
-  assignee: {
+  severity: {
     type: String,
-    trim: true,
-    maxlength: [100, 'Assignee name cannot exceed 100 characters'],
-    default: ''
+    enum: {
+      values: ["Low", "Medium", "High", "Critical"],
+      message: 'Severity must be one of: Low, Medium, High, Critical'
+    },
+    default: "Low",
+    required: true
+  },
+  
+  category: {
+    type: String,
+    enum: {
+      values: ["Bug", "Feature", "Enhancement", "Documentation", "Question", "Task"],
+      message: 'Category must be one of: Bug, Feature, Enhancement, Documentation, Question, Task'
+    },
+    default: "Task",
+    required: true
+  },
+  
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  
+  assignees: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    validate: {
+      validator: (assignees) => assignees.length <= MAX_ASSIGNEES,
+      message: `An issue cannot have more than ${MAX_ASSIGNEES} assignees`
+    }
   },
   
   author: {
@@ -70,6 +140,47 @@ const IssueSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Issue author is required'],
     index: true // Index for faster queries by author
+  },
+  
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Issue project is required']
+  },
+  
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Milestone',
+    default: null,
+    index: true // Index for milestone progress and issue lists
+  },
+  
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  
+  sla: {
+    policy: { type: String, default: null },
+    responseDueAt: { type: Date, default: null },
+    responseAtRiskAt: { type: Date, default: null },
+    respondedAt: { type: Date, default: null },
+    resolutionDueAt: { type: Date, default: null },
+    resolutionAtRiskAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null },
+    state: {
+      type: String,
+      enum: {
+        values: SLA_STATES,
+        message: `SLA state must be one of: ${SLA_STATES.join(', ')}`
+      },
+      default: null
+    }
   }
 }, {
   timestamps: true,  // Automatically add createdAt and updatedAt fields
@@ -89,38 +200,59 @@ IssueSchema.virtual('ageInDays').get(function() {
 });
 
 /**
- * Virtual field to check if issue is overdue (based on priority)
- * @returns {boolean} True if issue is considered overdue
+ * Virtual field to check if issue is overdue: not done and past its due
+ * date, or past its SLA resolution deadline if it has no due date
+ * @returns {boolean} True if issue is overdue
  */
 IssueSchema.virtual('isOverdue').get(function() {
-  const ageInDays = this.ageInDays;
-  const overdueThresholds = {
-    'Urgent': 1,   // 1 day
-    'High': 3,     // 3 days
-    'Medium': 7,   // 1 week
-    'Low': 14      // 2 weeks
-  };
-  
-  return ageInDays > (overdueThresholds[this.priority] || 14);
+  const dueAt = this.dueDate || (this.sla && this.sla.resolutionDueAt);
+  return Boolean(dueAt) && dueAt < new Date() && !statusesIn('done').includes(this.status);
 });
 
 /**
- * Instance method to update issue status
+ * Instance method to update issue status. Only moves allowed by the
+ * workflow are accepted; role and field requirements are checked by the
+ * update route.
  * @param {string} newStatus - New status to set
  * @returns {Promise<Issue>} Updated issue document
+ * @throws {Error} With status 409 if the workflow has no such transition
  */
-IssueSchema.methods.updateStatus = function(newStatus) {
+IssueSchema.methods.updateStatus = async function(newStatus) {
+  if (newStatus !== this.status &&
+      !transitionsFrom(this.status).some((transition) => transition.to === newStatus)) {
+    const error = new Error(`Cannot move an issue from ${this.status} to ${newStatus}`);
+    error.status = 409;
+    throw error;
+  }
+
   this.status = newStatus;
   return this.save();
 };
 
+/**
+ * Instance method recording the first response to an issue. Responses by
+ * the author do not count. The caller saves the issue.
+ * @param {string} userId - User who responded
+ * @param {Date} [at=new Date()] - Time of the response
+ * @returns {boolean} True if this was the first response
+ */
+IssueSchema.methods.recordResponse = function(userId, at = new Date()) {
+  if (this.sla.respondedAt || this.author.toString() === userId.toString()) {
+    return false;
+  }
+
+  this.sla.respondedAt = at;
+  return true;
+};
+
 /**
  * Static method to find issues by status
  * @param {string} status - Status to filter by
  * @returns {Promise<Issue[]>} Array of issues with specified status
  */
 IssueSchema.statics.findByStatus = function(status) {
-  return this.find({ status }).populate('author', 'name email');
+  return this.find({ status }).populate('author', 'name email')
+    .populate('assignees', 'name email');
 };
 
 /**
@@ -129,30 +261,122 @@ IssueSchema.statics.findByStatus = function(status) {
  * @returns {Promise<Issue[]>} Array of issues with specified priority
  */
 IssueSchema.statics.findByPriority = function(priority) {
-  return this.find({ priority }).populate('author', 'name email');
+  return this.find({ priority }).populate('author', 'name email')
+    .populate('assignees', 'name email');
+};
+
+/**
+ * Static method building a query condition that matches issues past their
+ * due date (or SLA resolution deadline), mirroring the isOverdue virtual.
+ * Combine it with a status condition to leave out finished issues.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} MongoDB filter
+ */
+IssueSchema.statics.overdueFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { dueDate: { $lt: now } },
+      { dueDate: null, 'sla.resolutionDueAt': { $lt: now } }
+    ]
+  };
+};
+
+/**
+ * Static method building a query condition that matches issues without
+ * assignees, including issues saved before assignees existed
+ * @returns {Object} MongoDB filter
+ */
+IssueSchema.statics.unassignedFilter = function() {
+  return { 'assignees.0': { $exists: false } };
 };
 
 /**
  * Static method to get issue statistics
- * @returns {Promise<Object>} Statistics object with counts by status and priority
+ * @param {Object} [match={}] - Filter selecting the issues to count; values
+ *   must already be cast (e.g. ObjectIds), as aggregation does not cast them
+ * @returns {Promise<Object>} Statistics object with counts by workflow
+ *   category (open, inProgress, done) and priority, the number of overdue issues, plus byStatus (all workflow
+ *   statuses), byCategory, bySeverity, bySlaState (unfinished issues) and
+ *   byLabel breakdowns
  */
-IssueSchema.statics.getStatistics = function() {
-  return this.aggregate([
+IssueSchema.statics.getStatistics = async function(match = {}) {
+  const unfinished = { status: { $in: statusesIn('open', 'in_progress') } };
+  const [result] = await this.aggregate([
+    { $match: match },
     {
-      $group: {
-        _id: null,
-        total: { $sum: 1 },
-        open: { $sum: { $cond: [{ $eq: ["$status", "Open"] }, 1, 0] } },
-        inProgress: { $sum: { $cond: [{ $eq: ["$status", "In Progress"] }, 1, 0] } },
-        resolved: { $sum: { $cond: [{ $eq: ["$status", "Resolved"] }, 1, 0] } },
-        closed: { $sum: { $cond: [{ $eq: ["$status", "Closed"] }, 1, 0] } },
-        urgent: { $sum: { $cond: [{ $eq: ["$priority", "Urgent"] }, 1, 0] } },
-        high: { $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] } },
-        medium: { $sum: { $cond: [{ $eq: ["$priority", "Medium"] }, 1, 0] } },
-        low: { $sum: { $cond: [{ $eq: ["$priority", "Low"] }, 1, 0] } }
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              // Counted by workflow category, whatever the statuses are named
+              open: { $sum: { $cond: [{ $in: ["$status", statusesIn('open')] }, 1, 0] } },
+              inProgress: { $sum: { $cond: [{ $in: ["$status", statusesIn('in_progress')] }, 1, 0] } },
+              done: { $sum: { $cond: [{ $in: ["$status", statusesIn('done')] }, 1, 0] } },
+              urgent: { $sum: { $cond: [{ $eq: ["$priority", "Urgent"] }, 1, 0] } },
+              high: { $sum: { $cond: [{ $eq: ["$priority", "High"] }, 1, 0] } },
+              medium: { $sum: { $cond: [{ $eq: ["$priority", "Medium"] }, 1, 0] } },
+              low: { $sum: { $cond: [{ $eq: ["$priority", "Low"] }, 1, 0] } }
+            }
+          }
+        ],
+        byStatus: [
+          { $group: { _id: "$status", count: { $sum: 1 } } }
+        ],
+        // Issues saved before these fields existed count as the default
+        byCategory: [
+          { $group: { _id: { $ifNull: ["$category", this.schema.path('category').defaultValue] }, count: { $sum: 1 } } }
+        ],
+        bySeverity: [
+          { $group: { _id: { $ifNull: ["$severity", this.schema.path('severity').defaultValue] }, count: { $sum: 1 } } }
+        ],
+        overdue: [
+          { $match: { $and: [unfinished, this.overdueFilter()] } },
+          { $count: "count" }
+        ],
+        bySlaState: [
+          { $match: unfinished },
+          { $group: { _id: "$sla.state", count: { $sum: 1 } } }
+        ],
+        byLabel: [
+          { $unwind: "$labels" },
+          { $group: { _id: "$labels", count: { $sum: 1 } } },
+          { $lookup: { from: "labels", localField: "_id", foreignField: "_id", as: "label" } },
+          { $unwind: "$label" },
+          { $project: { _id: 0, label: { _id: "$label._id", name: "$label.name", color: "$label.color" }, count: 1 } },
+          { $sort: { count: -1, "label.name": 1 } }
+        ]
       }
     }
   ]);
+
+  // Report every category and severity, including those without issues
+  const countsFor = (field, rows) => Object.fromEntries(
+    this.schema.path(field).enumValues.map((value) => [
+      value,
+      (rows.find((row) => row._id === value) || { count: 0 }).count
+    ])
+  );
+
+  const { _id, ...totals } = result.totals[0] || {};
+  return {
+    total: 0,
+    open: 0,
+    inProgress: 0,
+    done: 0,
+    urgent: 0,
+    high: 0,
+    medium: 0,
+    low: 0,
+    ...totals,
+    overdue: result.overdue.length > 0 ? result.overdue[0].count : 0,
+    byStatus: countsFor('status', result.byStatus),
+    byCategory: countsFor('category', result.byCategory),
+    bySeverity: countsFor('severity', result.bySeverity),
+    bySlaState: countsFor('sla.state', result.bySlaState),
+    byLabel: result.byLabel
+  };
 };
 
 /**
@@ -164,19 +388,76 @@ IssueSchema.pre('save', function(next) {
     this.title = this.title.trim();
   }
   
-  // Ensure assignee is properly formatted
-  if (this.assignee) {
-    this.assignee = this.assignee.trim();
+  // Ensure each user is assigned only once
+  if (this.isModified('assignees')) {
+    const seen = new Set();
+    this.assignees = this.assignees.filter((userId) => {
+      const key = userId.toString();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  // The author and the first assignees watch a new issue; later assignees
+  // are subscribed when they are assigned (see utils/notifications)
+  if (this.isNew) {
+    const watchers = new Set(this.watchers.map((userId) => userId.toString()));
+    for (const userId of [this.author, ...this.assignees]) {
+      if (userId && !watchers.has(userId.toString())) {
+        watchers.add(userId.toString());
+        this.watchers.push(userId);
+      }
+    }
+  }
+  
+  // Keep the SLA up to date: a status change counts as a response, reaching
+  // a done status resolves the issue and reopening it resumes the clock
+  const now = new Date();
+  if (this.isNew || this.isModified('status')) {
+    if (this.status !== INITIAL_STATUS && !this.sla.respondedAt) {
+      this.sla.respondedAt = now;
+    }
+    this.sla.resolvedAt = statusesIn('done').includes(this.status)
+      ? this.sla.resolvedAt || now
+      : null;
+  }
+  if (this.isNew || this.isModified('priority') || this.isModified('severity') || !this.sla.policy) {
+    this.set('sla', computeSla(this, now));
+  } else {
+    this.sla.state = slaState(this.sla, now);
   }
   
   next();
 });
 
+/**
+ * Give new issues the next number of the shared issue sequence
+ */
+IssueSchema.pre('save', async function() {
+  if (this.isNew && !this.number) {
+    this.number = await Counter.next('issue');
+  }
+});
+
 /**
  * Create indexes for better query performance
  */
 IssueSchema.index({ status: 1, priority: 1 });
 IssueSchema.index({ createdAt: -1 });
 IssueSchema.index({ author: 1, status: 1 });
+IssueSchema.index({ assignees: 1, status: 1 });
+IssueSchema.index({ watchers: 1 });
+IssueSchema.index({ project: 1, status: 1 });
+IssueSchema.index({ labels: 1 });
+IssueSchema.index({ category: 1, severity: 1 });
+IssueSchema.index({ 'sla.state': 1, status: 1 });
+IssueSchema.index({ dueDate: 1 });
+IssueSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'issue_text_search', weights: { title: 5, description: 1 } }
+);
 
 module.exports = mongoose.model("Issue", IssueSchema);
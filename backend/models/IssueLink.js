@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Typed link between two issues. Each link is stored once, in the
+// direction of its type: the source duplicates, blocks or is the parent of
+// the target. The reverse view (duplicated by, blocked by, child of) is
+// derived when reading, so both sides always agree. relates_to has no
+// direction and is stored with the lower issue ID as source.
+const IssueLinkSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['duplicates', 'blocks', 'relates_to', 'parent_of'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+IssueLinkSchema.index({ source: 1, type: 1, target: 1 }, { unique: true });
+IssueLinkSchema.index({ target: 1, type: 1 });
+
+module.exports = mongoose.model('IssueLink', IssueLinkSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Label that can be attached to issues, e.g. "frontend" or "needs-triage".
+// Names are unique regardless of case.
+const LabelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [50, 'Label name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex value such as #d73a4a'],
+    default: '#6b7280'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Label description cannot exceed 200 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+LabelSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Label', LabelSchema);
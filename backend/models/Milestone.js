@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Release or sprint within a project that issues can be attached to
+const MilestoneSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Milestone name is required'],
+    trim: true,
+    maxlength: [100, 'Milestone name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Milestone description cannot exceed 2000 characters'],
+    default: ''
+  },
+  startDate: Date,
+  dueDate: {
+    type: Date,
+    validate: {
+      validator: function(dueDate) {
+        return !dueDate || !this.startDate || dueDate >= this.startDate;
+      },
+      message: 'Due date cannot be before the start date'
+    }
+  },
+  state: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Milestone names are unique within a project
+MilestoneSchema.index({ project: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Milestone', MilestoneSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../config/notifications');
+
+// In-app notification for one user about a change to an issue
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  issue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  // Activity entry that caused the notification
+  activity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  },
+  // Comment a 'mention' notification is about; none for descriptions
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // When the notification was emailed, on its own or in a digest
+  emailedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+NotificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
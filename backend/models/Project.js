@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/roles');
+
+// Project (workspace) grouping the issues of one team. Only members can
+// see its issues. Each member has a role within the project, using the
+// same role names and permissions as the global roles; global admins
+// act as project admins everywhere.
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  // Short unique identifier, e.g. "WEB"
+  key: {
+    type: String,
+    required: [true, 'Project key is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Project key must be 2-10 letters or digits, starting with a letter']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Project description cannot exceed 1000 characters'],
+    default: ''
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'reporter'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ProjectSchema.index({ 'members.user': 1 });
+
+// Find the membership entry of a user
+ProjectSchema.methods.memberFor = function(userId) {
+  const id = (userId._id || userId).toString();
+  return this.members.find((member) => (member.user._id || member.user).toString() === id);
+};
+
+// Role of a user in the project, or null if they have no access
+ProjectSchema.methods.roleOf = function(user) {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  const member = this.memberFor(user._id);
+  return member ? member.role : null;
+};
+
+// IDs of the projects a user can see; null means all projects
+ProjectSchema.statics.visibleIdsFor = async function(user) {
+  if (user.role === 'admin') {
+    return null;
+  }
+  return this.find({ 'members.user': user._id }).distinct('_id');
+};
+
+// Project created by migrations/move-issues-to-default-project.js, which
+// takes issues created without naming a project
+ProjectSchema.statics.findDefault = function() {
+  return this.findOne({ key: 'DEFAULT' });
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
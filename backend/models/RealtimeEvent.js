@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Real-time event passed between server instances by the mongo broker.
+// The collection is capped, so old events are dropped automatically and
+// instances can follow new ones with a tailable cursor.
+const RealtimeEventSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 10000 },
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('RealtimeEvent', RealtimeEventSchema);
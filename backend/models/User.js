@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const { generateRandomToken, hashToken } = require('../utils/helpers');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { NOTIFICATION_TYPES, EMAIL_DELIVERY_MODES } = require('../config/notifications');
+const { USERNAME_PATTERN, USERNAME_MAX_LENGTH } = require('../config/mentions');
+
+// One on/off switch per notification type, all on by default
+const notificationPreferences = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [
+  type,
+  { type: Boolean, default: true }
+]));
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -14,6 +25,15 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Name used in @mentions; derived from the email address if not chosen
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [USERNAME_PATTERN, 'Username may only contain letters, digits, hyphens and underscores, must start and end with a letter or digit and be at most 30 characters']
+  },
   password: {
     type: String,
     required: true,
@@ -22,15 +42,102 @@ const UserSchema = new mongoose.Schema({
   profilePicture: {
     type: String,
     default: ''
+  },
+  // Base storage key of the profile picture and its thumbnails
+  profilePictureKey: {
+    type: String,
+    default: '',
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, until it is confirmed with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Which events create in-app notifications for the user
+  notificationPreferences,
+  // How those notifications are emailed to the user
+  emailDelivery: {
+    type: String,
+    enum: EMAIL_DELIVERY_MODES,
+    default: 'immediate'
+  },
+  emailDigestSentAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+// Give users without a username one based on their email address
+UserSchema.pre('validate', async function() {
+  if (!this.username && this.email) {
+    this.username = await this.constructor.availableUsername(this.email.split('@')[0]);
+  }
+});
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -38,9 +145,83 @@ UserSchema.pre('save', async function(next) {
   next();
 });
 
+// Record a password change. Backdated by one second so that tokens
+// issued right after the change are not treated as older than it.
+UserSchema.methods.setPassword = function(newPassword) {
+  this.password = newPassword;
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Mark the email as unverified and create a new verification token.
+// Returns the plain token; only its hash is stored.
+UserSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  const ttlMs = config.auth.emailVerificationTtlHours * 60 * 60 * 1000;
+
+  this.emailVerified = false;
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlMs);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Create a fresh set of recovery codes. Returns the plain codes; only
+// their hashes are stored.
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Use up a recovery code. Returns false if the code is not valid.
+UserSchema.methods.consumeRecoveryCode = function(code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) {
+    return false;
+  }
+  this.twoFactor.recoveryCodes = codes.filter((existing) => existing !== hash);
+  return true;
+};
+
 // Compare password method
 UserSchema.methods.comparePassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether the password was changed after a token was issued
+UserSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return this.passwordChangedAt.getTime() > tokenIssuedAt * 1000;
+};
+
+// First free username built from some text: the text turned into a valid
+// username, followed by a number if it is already taken
+UserSchema.statics.availableUsername = async function(text) {
+  const base = String(text).toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .slice(0, USERNAME_MAX_LENGTH - 4)
+    .replace(/^[_-]+|[_-]+$/g, '') || 'user';
+
+  // Only letters, digits, hyphens and underscores, so nothing to escape
+  const taken = new Set(await this.find({ username: { $regex: `^${base}\\d*$` } }).distinct('username'));
+  if (!taken.has(base)) {
+    return base;
+  }
+  let suffix = 2;
+  while (taken.has(`${base}${suffix}`)) {
+    suffix++;
+  }
+  return `${base}${suffix}`;
+};
+
 module.exports = mongoose.model('User', UserSchema);
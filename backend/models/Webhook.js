@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhooks');
+
+// Subscription of an external URL to issue events
+const WebhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (url) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'URL must be an http or https URL'
+    }
+  },
+  // Key of the HMAC signature; only shown when it is set
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'A webhook needs at least one event'
+    }
+  },
+  // Only events of this project are sent; all projects when null
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
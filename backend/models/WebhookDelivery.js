@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook, with every attempt made to deliver it.
+// The payload is stored as sent so it can be delivered again unchanged.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending until a 2xx answer or until the attempts run out
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // When the next attempt is due; null once the delivery is finished
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: [{
+    _id: false,
+    at: { type: Date, required: true },
+    // HTTP status of the answer, or null if none was received
+    responseStatus: { type: Number, default: null },
+    // Start of the answer body, for troubleshooting
+    responseBody: { type: String, default: '' },
+    error: { type: String, default: null },
+    durationMs: Number
+  }],
+  // Delivery this one repeats, for manual redeliveries
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -2,57 +2,61 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { protect, sessionOnly, PERSONAL_TOKEN_PREFIX } = require('../middleware/auth');
+const { createSession, rotateSession, revokeUserSessions, revokeUserTokens } = require('../utils/sessions');
+const { generateRandomToken, hashToken, isValidObjectId } = require('../utils/helpers');
+const { sendMail } = require('../utils/mailer');
+const loginThrottle = require('../utils/loginThrottle');
+const totp = require('../utils/totp');
+const { requiresTwoFactor } = require('../middleware/accountPolicy');
+const config = require('../config/config');
+const { saveAvatar, removeAvatar, profilePictureUrl } = require('../utils/avatars');
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../uploads/profile-pictures');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer for profile picture uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    // Create unique filename with user ID and timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, req.user.id + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-// File filter for images only
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed'), false);
-  }
-};
+// Purpose claim of the short-lived token issued between the two login steps
+const TWO_FACTOR_CHALLENGE = '2fa-challenge';
 
+// Profile pictures are kept in memory until they have been processed
+// and stored (see utils/avatars)
 const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: config.avatars.maxFileSizeMb * 1024 * 1024
   }
 });
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// Send an email verification link to the user's current address
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = `${config.app.frontendUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Issue Tracker email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below. ` +
+      `It expires in ${config.auth.emailVerificationTtlHours} hours.\n\n${verifyUrl}`
   });
 };
 
-// Register new user
+// Tell the account owner that sign-in was locked after repeated failures
+const sendLockoutNotice = async (user, ip) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Sign-in to your Issue Tracker account was locked',
+    text: `Hi ${user.name},\n\n` +
+      `We blocked sign-in to your account for ${config.loginThrottle.lockoutMinutes} minutes ` +
+      `after ${config.loginThrottle.maxAccountFailures} failed attempts. ` +
+      `The last attempt came from ${ip}.\n\n` +
+      'If this was not you, we recommend resetting your password.'
+  });
+};
+
+// Register new user, with an optional username for @mentions
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, username } = req.body;
 
     // Check if user exists
     const userExists = await User.findOne({ email });
@@ -63,16 +67,31 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Create user
-    const user = await User.create({ name, email, password });
+    // Usernames are unique; without one, it is made from the email address
+    if (username && await User.exists({ username: String(username).toLowerCase().trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Username already exists'
+      });
+    }
+
+    // Create user and send the verification email
+    const user = new User({ name, email, password, username });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       data: {
         _id: user._id,
         name: user.name,
+        username: user.username,
         email: user.email,
-        token: generateToken(user._id)
+        emailVerified: user.emailVerified,
+        ...tokens
       }
     });
   } catch (error) {
@@ -83,30 +102,741 @@ router.post('/register', async (req, res) => {
   }
 });
 
-// Login user
+// Reply to a login attempt refused by the throttle
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(throttle.locked ? 423 : 429).json({
+    success: false,
+    message: throttle.locked
+      ? `Too many failed login attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s)`
+      : `Too many login attempts. Try again in ${throttle.retryAfter} second(s)`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Count a failed login step and warn the owner if the account got locked
+const registerLoginFailure = async (throttleKeys, user, ip) => {
+  const { accountLocked } = await loginThrottle.registerFailure(throttleKeys);
+  if (accountLocked && user) {
+    await sendLockoutNotice(user, ip);
+  }
+};
+
+// Accept an authenticator code at most once. Codes of the time step last
+// used, or earlier, are refused so that a seen code cannot be replayed.
+// Needs twoFactor.secret and twoFactor.lastUsedStep selected.
+const consumeTotpCode = (user, code) => {
+  const step = totp.verifyCode(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Start a session once every login step has succeeded
+const completeLogin = async (user, req, res) => {
+  await loginThrottle.reset(loginThrottle.keysFor(user.email, loginThrottle.clientAddress(req)));
+  const tokens = await createSession(user, req);
+
+  res.json({
+    success: true,
+    data: {
+      _id: user._id,
+      name: user.name,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorSetupRequired: !user.twoFactor.enabled && (await requiresTwoFactor(user)),
+      ...tokens
+    }
+  });
+};
+
+// Login user. Accounts with two-factor authentication get a challenge
+// token that has to be completed at /login/2fa.
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse attempts while the account or IP is backing off or locked
+    const throttleKeys = loginThrottle.keysFor(email, loginThrottle.clientAddress(req));
+    const throttle = await loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
 
-    if (user && (await user.comparePassword(password))) {
-      res.json({
+    if (!user || !(await user.comparePassword(password))) {
+      await registerLoginFailure(throttleKeys, user, req.ip);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password'
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      const challengeToken = jwt.sign(
+        { id: user._id, purpose: TWO_FACTOR_CHALLENGE },
+        process.env.JWT_SECRET,
+        { expiresIn: `${config.auth.twoFactorChallengeMinutes}m` }
+      );
+
+      return res.json({
         success: true,
         data: {
-          _id: user._id,
-          name: user.name,
-          email: user.email,
-          token: generateToken(user._id)
+          twoFactorRequired: true,
+          challengeToken
         }
       });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Complete a two-factor login with an authenticator code or a recovery code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const throttleKeys = loginThrottle.keysFor(user.email, loginThrottle.clientAddress(req));
+    const throttle = await loginThrottle.check(throttleKeys);
+    if (!throttle.allowed) {
+      return sendThrottled(res, throttle);
+    }
+
+    let verified = false;
+    if (recoveryCode) {
+      verified = user.consumeRecoveryCode(recoveryCode);
     } else {
-      res.status(401).json({
+      verified = consumeTotpCode(user, code);
+    }
+
+    if (!verified) {
+      await registerLoginFailure(throttleKeys, user, req.ip);
+      return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+    await completeLogin(user, req, res);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Start two-factor enrollment. Returns the secret and the otpauth:// URI
+// to show as a QR code; nothing changes until the first code is confirmed.
+router.post('/2fa/setup', protect, sessionOnly, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: config.auth.twoFactorIssuer
+        })
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Confirm enrollment with a first code and receive the recovery codes
+router.post('/2fa/confirm', protect, sessionOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Replace the recovery codes. Requires a current authenticator code.
+router.post('/2fa/recovery-codes', protect, sessionOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
       });
     }
+
+    if (!consumeTotpCode(user, req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Turn off two-factor authentication. Requires the password and a code.
+router.post('/2fa/disable', protect, sessionOnly, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await requiresTwoFactor(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const codeValid = consumeTotpCode(user, code) || user.consumeRecoveryCode(code);
+    if (!(await user.comparePassword(password || '')) || !codeValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Log out of the current session
+router.post('/logout', protect, sessionOnly, async (req, res) => {
+  try {
+    req.session.revokedAt = new Date();
+    await req.session.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', protect, sessionOnly, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === req.session.id
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', protect, sessionOnly, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, req.session.id);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', protect, sessionOnly, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Create a personal access token. The token is only returned in this response.
+router.post('/tokens', protect, sessionOnly, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresAt must be a valid date in the future'
+        });
+      }
+    }
+
+    const token = PERSONAL_TOKEN_PREFIX + generateRandomToken(20);
+    const accessToken = await PersonalAccessToken.create({
+      user: req.user.id,
+      name,
+      scopes: Array.isArray(scopes) ? [...new Set(scopes)] : [],
+      expiresAt: expiry,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, PERSONAL_TOKEN_PREFIX.length + 6)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this token now, it will not be shown again',
+      data: {
+        _id: accessToken._id,
+        name: accessToken.name,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        createdAt: accessToken.createdAt,
+        token
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// List the current user's personal access tokens
+router.get('/tokens', protect, sessionOnly, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({
+      user: req.user.id,
+      revokedAt: null
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      data: tokens.map((token) => ({
+        _id: token._id,
+        name: token.name,
+        tokenPrefix: token.tokenPrefix,
+        scopes: token.scopes,
+        expiresAt: token.expiresAt,
+        expired: !token.isActive(),
+        lastUsedAt: token.lastUsedAt,
+        createdAt: token.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/tokens/:id', protect, sessionOnly, async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token ID format'
+      });
+    }
+
+    const token = await PersonalAccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token revoked'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', protect, sessionOnly, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address is already verified'
+      });
+    }
+
+    // Throttle how often a verification email can be requested
+    const intervalMs = config.auth.verificationResendIntervalSeconds * 1000;
+    const sentAt = user.emailVerificationSentAt;
+    if (sentAt && Date.now() - sentAt.getTime() < intervalMs) {
+      const retryAfter = Math.ceil((sentAt.getTime() + intervalMs - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another email`
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Request a password reset link. Always responds the same way so the
+// endpoint cannot be used to find out which emails are registered.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user) {
+      const resetToken = generateRandomToken();
+      const ttlMinutes = config.auth.passwordResetTtlMinutes;
+
+      user.passwordResetTokenHash = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${config.app.frontendUrl}/reset-password?token=${resetToken}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Issue Tracker password',
+        text: `Hi ${user.name},\n\n` +
+          `Use the link below to choose a new password. It expires in ${ttlMinutes} minutes ` +
+          `and can only be used once.\n\n${resetUrl}\n\n` +
+          'If you did not request a password reset, you can ignore this email.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Set a new password using a reset token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(String(token)),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.setPassword(password);
+    await user.save();
+    await revokeUserSessions(user.id);
+    await revokeUserTokens(user.id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in'
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Change password of the current user
+router.put('/password', protect, sessionOnly, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.setPassword(newPassword);
+    await user.save();
+
+    // Sign out every device and revoke personal access tokens, then start
+    // a fresh session for this one
+    await revokeUserSessions(user.id);
+    await revokeUserTokens(user.id);
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: tokens
+    });
   } catch (error) {
     res.status(400).json({
       success: false,
@@ -132,9 +862,9 @@ router.get('/me', protect, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', protect, async (req, res) => {
+router.put('/profile', protect, sessionOnly, async (req, res) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, username } = req.body;
     
     // Check if email already exists (excluding current user)
     if (email) {
@@ -150,11 +880,40 @@ router.put('/profile', protect, async (req, res) => {
       }
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user.id,
-      { name, email },
-      { new: true, runValidators: true }
-    );
+    // Check if username already exists (excluding current user)
+    if (username) {
+      const usernameExists = await User.findOne({
+        username: String(username).toLowerCase().trim(),
+        _id: { $ne: req.user.id }
+      });
+      if (usernameExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username already exists'
+        });
+      }
+    }
+
+    const user = req.user;
+    if (name !== undefined) {
+      user.name = name;
+    }
+    // An empty username is replaced by one made from the email address
+    if (username !== undefined) {
+      user.username = username;
+    }
+
+    // A new email address has to be verified again
+    let verificationToken = null;
+    if (email && email.toLowerCase().trim() !== user.email) {
+      user.email = email;
+      verificationToken = user.createEmailVerificationToken();
+    }
+
+    const updatedUser = await user.save();
+    if (verificationToken) {
+      await sendVerificationEmail(updatedUser, verificationToken);
+    }
 
     res.json({
       success: true,
@@ -168,8 +927,9 @@ router.put('/profile', protect, async (req, res) => {
   }
 });
 
-// Upload profile picture
-router.post('/upload-profile-picture', protect, upload.single('profilePicture'), async (req, res) => {
+// Upload profile picture. The picture is checked, stripped of metadata
+// and stored with its thumbnails; the previous picture is removed.
+router.post('/upload-profile-picture', protect, sessionOnly, upload.single('profilePicture'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -178,20 +938,18 @@ router.post('/upload-profile-picture', protect, upload.single('profilePicture'),
       });
     }
 
+    const user = await User.findById(req.user.id).select('+profilePictureKey');
+    const base = await saveAvatar(user._id, req.file.buffer);
+
     // Delete old profile picture if it exists
-    const user = await User.findById(req.user.id);
-    if (user.profilePicture) {
-      const oldFilePath = path.join(__dirname, '..', user.profilePicture);
-      if (fs.existsSync(oldFilePath)) {
-        fs.unlinkSync(oldFilePath);
-      }
-    }
+    await removeAvatar(user).catch((error) => {
+      console.error(`Could not remove the old profile picture of user ${user._id}:`, error.message);
+    });
 
-    // Update user with new profile picture path
-    const profilePicturePath = `/uploads/profile-pictures/${req.file.filename}`;
+    // Update user with the link to the new profile picture
     const updatedUser = await User.findByIdAndUpdate(
       req.user.id,
-      { profilePicture: profilePicturePath },
+      { profilePicture: profilePictureUrl(user._id, base), profilePictureKey: base },
       { new: true }
     );
 
@@ -203,14 +961,6 @@ router.post('/upload-profile-picture', protect, upload.single('profilePicture'),
       }
     });
   } catch (error) {
-    // Clean up uploaded file if there's an error
-    if (req.file) {
-      const filePath = path.join(__dirname, '../uploads/profile-pictures', req.file.filename);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-    }
-    
     res.status(400).json({
       success: false,
       message: error.message
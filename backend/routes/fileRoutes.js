@@ -0,0 +1,73 @@
+/**
+ * File Routes Module
+ *
+ * Serves stored files through the signed, expiring links created by
+ * utils/storage when files are kept on local disk. Access to the file was
+ * checked when the link was created, so the link itself is the only
+ * credential. With S3 storage, clients are sent to presigned bucket URLs
+ * instead and these routes are not used.
+ *
+ * @module fileRoutes
+ * @requires express
+ * @requires ../utils/storage
+ */
+
+const express = require("express");
+const router = express.Router();
+const { getStorage, verifyLocalUrl } = require("../utils/storage");
+
+/**
+ * @route   GET /api/files/:key
+ * @desc    Download a stored file through a signed link
+ * @access  Public (signed link)
+ * @param   {string} key - Storage key, e.g. attachments/<name>
+ * @query   {number} expires - Unix time the link expires at
+ * @query   {string} [type] - Content type to send
+ * @query   {string} [disposition] - Content-Disposition to send
+ * @query   {string} signature - Signature of the link
+ * @returns {File} The file
+ */
+router.get("/*key", async (req, res) => {
+  try {
+    const key = req.params.key.join('/');
+
+    const link = verifyLocalUrl(key, req.query);
+    if (!link) {
+      return res.status(403).json({
+        success: false,
+        message: "Download link is invalid or has expired"
+      });
+    }
+
+    const stream = await getStorage().get(key);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found"
+      });
+    }
+
+    res.set({
+      'Content-Type': link.contentType || 'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': `private, max-age=${Math.max(0, link.expires - Math.floor(Date.now() / 1000))}`
+    });
+    if (link.disposition) {
+      res.set('Content-Disposition', link.disposition);
+    }
+    stream.on('error', (error) => {
+      console.error(`Error reading stored file ${key}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving file:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to serve file",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -4,146 +4,632 @@
  * RESTful API endpoints for issue management system.
  * Handles CRUD operations for issues and associated comments.
  * 
+ * Mounted twice: at /api/projects/:projectId/issues for the issues of one
+ * project, and at /api/issues for the issues of every project the user is
+ * a member of. Inside a project the member's project role applies.
+ * 
  * @module issueRoutes
  * @requires express
- * @requires ../models/Issue
+ * @requires ../models/Issue-final
  * @requires ../models/Comment
+ * @requires ../models/User
+ * @requires ../models/Label
+ * @requires ../models/Milestone
+ * @requires ../models/Activity
+ * @requires ../models/IssueLink
+ * @requires ../models/Project
+ * @requires ../models/Attachment
  * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../middleware/projectAccess
+ * @requires ../config/roles
+ * @requires ../config/comments
+ * @requires ../config/workflow
+ * @requires ../utils/issueQuery
+ * @requires ../utils/issueList
+ * @requires ../utils/searchQuery
+ * @requires ../utils/activity
+ * @requires ../utils/issueLinks
+ * @requires ../utils/attachments
  */
 
 const express = require("express");
-const router = express.Router();
-const Issue = require("../models/Issue");
+const router = express.Router({ mergeParams: true });
+const Issue = require("../models/Issue-final");
 const Comment = require("../models/Comment");
-const { protect } = require("../middleware/auth");
+const User = require("../models/User");
+const Label = require("../models/Label");
+const Milestone = require("../models/Milestone");
+const Activity = require("../models/Activity");
+const IssueLink = require("../models/IssueLink");
+const Project = require("../models/Project");
+const Notification = require("../models/Notification");
+const Attachment = require("../models/Attachment");
+const { protect, authorize, requireScope } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { scopeIssues, loadIssueProject, loadNewIssueProject } = require("../middleware/projectAccess");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const { REACTIONS } = require("../config/comments");
+const {
+  INITIAL_STATUS,
+  DUPLICATE_STATUS,
+  workflow,
+  statusesIn,
+  transitionsFrom,
+  canPerform,
+  missingFields
+} = require("../config/workflow");
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/issueQuery");
+const { ISSUE_POPULATE, sendIssueList, sendListError } = require("../utils/issueList");
+const {
+  SearchSyntaxError,
+  parseSearchQuery,
+  buildQualifierFilter,
+  buildTextSearch,
+  highlight,
+  escapeRegex
+} = require("../utils/searchQuery");
+const { recordActivity, recordIssueChanges } = require("../utils/activity");
+const { addWatchers } = require("../utils/notifications");
+const { resolveReferences, announceReferences } = require("../utils/references");
+const {
+  UPLOAD_FIELD,
+  receiveAttachments,
+  uploadErrorResponse,
+  attachmentUrl,
+  saveAttachments,
+  removeAttachments
+} = require("../utils/attachments");
+const {
+  LINK_TYPES,
+  toStoredLink,
+  describeLink,
+  checkNewLink,
+  getLinks,
+  getSubtaskRollup
+} = require("../utils/issueLinks");
+const { buildPageLink, isValidObjectId } = require("../utils/helpers");
 
 /**
  * Apply authentication middleware to all routes
- * All routes in this module require user authentication
+ * All routes in this module require user authentication, and users with an
+ * unverified email are limited by the configured account policy
  */
 router.use(protect);
+router.use(enforceAccountPolicy);
+
+/**
+ * Limit every request to the projects the user is a member of. Issue IDs
+ * in the path are checked against the user's projects before the route runs.
+ */
+router.use(scopeIssues);
+router.param("id", loadIssueProject);
+
+/**
+ * User fields included when populating activity entries
+ */
+const ACTIVITY_POPULATE = [
+  { path: 'actor', select: 'name email' },
+  { path: 'users', select: 'name email' },
+  { path: 'link.issue', select: 'title status' },
+  { path: 'source.issue', select: 'number title status' }
+];
+
+/**
+ * Issue fields that reference other documents, with the model they point to
+ */
+const REFERENCE_FIELDS = {
+  assignees: { model: User, noun: 'user' },
+  labels: { model: Label, noun: 'label' }
+};
+
+/**
+ * Check that a list of IDs refers to existing documents. Assignees must
+ * also have access to the issue's project.
+ * @param {string} field - Key of REFERENCE_FIELDS
+ * @param {*} ids - Value from the request body
+ * @param {Object} project - Project of the issue
+ * @returns {Promise<Object>} { ids } with the unique validated IDs, or { error }
+ */
+const findReferences = async (field, ids, project) => {
+  const { model, noun } = REFERENCE_FIELDS[field];
+  if (!Array.isArray(ids) || !ids.every(isValidObjectId)) {
+    return { error: `${field} must be an array of ${noun} IDs` };
+  }
+
+  const unique = [...new Set(ids)];
+  const docs = await model.find({ _id: { $in: unique } });
+  if (docs.length !== unique.length) {
+    return { error: `One or more ${field} do not exist` };
+  }
+  if (field === 'assignees' && docs.some((user) => !project.roleOf(user))) {
+    return { error: "Assignees must be members of the project" };
+  }
+  return { ids: unique };
+};
+
+/**
+ * Check the milestone given for an issue. It must be an open milestone of
+ * the issue's project, unless the issue is already in it.
+ * @param {*} milestoneId - Value from the request body
+ * @param {Object} project - Project of the issue
+ * @param {Object} [issue] - Issue being updated
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkMilestone = async (milestoneId, project, issue) => {
+  if (!isValidObjectId(milestoneId)) {
+    return "milestone must be a milestone ID or null";
+  }
+
+  const milestone = await Milestone.findOne({ _id: milestoneId, project: project._id });
+  if (!milestone) {
+    return "Milestone does not exist in this project";
+  }
+  if (milestone.state !== 'open' && !(issue && milestone._id.equals(issue.milestone))) {
+    return "Issues cannot be added to a closed milestone";
+  }
+  return null;
+};
+
+/**
+ * Validate the reference fields present in issue data, replacing them
+ * with the unique validated IDs. An empty milestone removes the issue
+ * from its milestone.
+ * @param {Object} data - Issue data from the request body
+ * @param {Object} project - Project of the issue
+ * @param {Object} [issue] - Issue being updated
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const validateReferences = async (data, project, issue) => {
+  for (const field of Object.keys(REFERENCE_FIELDS)) {
+    if (data[field] !== undefined) {
+      const { ids, error } = await findReferences(field, data[field], project);
+      if (error) {
+        return error;
+      }
+      data[field] = ids;
+    }
+  }
+
+  if (data.milestone === null || data.milestone === '') {
+    data.milestone = null;
+  } else if (data.milestone !== undefined) {
+    return checkMilestone(data.milestone, project, issue);
+  }
+  return null;
+};
+
+/**
+ * Check whether a user may edit an issue.
+ * Authors may edit their own issues; maintainers and admins may edit any.
+ * @param {Object} user - Authenticated user document
+ * @param {Object} issue - Issue document
+ * @param {string} [role=user.role] - Role to check, e.g. the user's project role
+ * @returns {boolean} True if the user may edit the issue
+ */
+const canUpdateIssue = (user, issue, role = user.role) => {
+  if (hasPermission(role, PERMISSIONS.ISSUE_UPDATE_ANY)) {
+    return true;
+  }
+
+  return hasPermission(role, PERMISSIONS.ISSUE_UPDATE_OWN) &&
+    issue.author.toString() === user.id;
+};
+
+/**
+ * Find the role a user has in the project of the issue at the other end
+ * of a link
+ * @param {Object} req - Request on the issue the link is seen from
+ * @param {Object} other - Linked issue
+ * @returns {Promise<string|null>} Project role, or null without one
+ */
+const linkedIssueRole = async (req, other) => {
+  if (other.project.equals(req.project._id)) {
+    return req.projectRole;
+  }
+  const otherProject = await Project.findById(other.project).select('members');
+  return otherProject ? otherProject.roleOf(req.user) : null;
+};
+
+/**
+ * Build a filter limiting issues to the projects a user can see
+ * @param {Object} user - Authenticated user document
+ * @returns {Promise<Object>} MongoDB filter, empty for global admins
+ */
+const visibleIssuesFilter = async (user) => {
+  const projectIds = await Project.visibleIdsFor(user);
+  return projectIds ? { project: { $in: projectIds } } : {};
+};
+
+/**
+ * Record a link change in the history of both linked issues
+ * @param {Object} link - Stored link
+ * @param {string} action - 'linked' or 'unlinked'
+ * @param {Object[]} issues - The linked issue documents that still exist
+ * @param {string} actor - User making the change
+ */
+const recordLinkActivity = async (link, action, issues, actor) => {
+  for (const issue of issues) {
+    await recordActivity({
+      issue: issue._id,
+      project: issue.project,
+      actor,
+      action,
+      link: describeLink(link, issue._id)
+    });
+  }
+};
+
+/**
+ * Check a status change against the workflow.
+ * @param {Object} issue - Issue document with the changes applied
+ * @param {string} from - Status before the change
+ * @param {Object} user - Authenticated user document
+ * @param {string} role - User's role in the issue's project
+ * @param {string} comment - Comment given with the change, may be empty
+ * @returns {Object|null} { status, message, errors? } describing why the
+ *   change is refused, or null if it is allowed
+ */
+const checkTransition = (issue, from, user, role, comment) => {
+  const to = issue.status;
+  const candidates = transitionsFrom(from).filter((transition) => transition.to === to);
+  if (candidates.length === 0) {
+    const targets = transitionsFrom(from).map((transition) => transition.to);
+    return {
+      status: 409,
+      message: `Cannot move an issue from ${from} to ${to}; allowed: ${[...new Set(targets)].join(', ') || 'none'}`
+    };
+  }
+
+  const permitted = candidates.filter((transition) => canPerform(transition, issue, user, role));
+  if (permitted.length === 0) {
+    return {
+      status: 403,
+      message: `You are not allowed to move this issue to ${to}`
+    };
+  }
+
+  // Several transitions may lead to the same status; any satisfied one will do
+  const unmet = permitted.map((transition) => [
+    ...(transition.requires.comment && !comment
+      ? [`A comment is required to ${transition.name.toLowerCase()}`]
+      : []),
+    ...missingFields(transition, issue).map((field) => `${field} must be set to ${transition.name.toLowerCase()}`)
+  ]);
+  if (unmet.some((errors) => errors.length === 0)) {
+    return null;
+  }
+
+  return {
+    status: 400,
+    message: "Transition requirements not met",
+    errors: unmet[0]
+  };
+};
 
 /**
  * @route   GET /api/issues
- * @desc    Get all issues with author information and comment counts
+ * @desc    List issues with filtering, sorting and pagination
  * @access  Private
- * @returns {Object} Response with array of issues
+ * @scope   issues:read
+ * @query   {string} [status] - Comma-separated statuses
+ * @query   {string} [priority] - Comma-separated priorities
+ * @query   {string} [severity] - Comma-separated severities
+ * @query   {string} [category] - Comma-separated categories
+ * @query   {string} [label] - Comma-separated label IDs; issues must have all of them
+ * @query   {string} [assignee] - Comma-separated assignee user IDs or "me", or "none"
+ * @query   {string} [milestone] - Milestone ID, or "none"
+ * @query   {string} [slaState] - Comma-separated SLA states (on_track, at_risk, breached)
+ * @query   {string} [dueAfter] [dueBefore] - Due date range bounds
+ * @query   {string} [author] - Author user ID, or "me"
+ * @query   {string} [createdAfter] [createdBefore] [updatedAfter] [updatedBefore] - Date range bounds
+ * @query   {string} [sort=-createdAt] - Comma-separated fields, "-" prefix for descending
+ * @query   {number} [limit=20] - Page size (max 100)
+ * @query   {number} [page=1] - Page number for offset pagination
+ * @query   {string} [cursor] - Cursor from a previous response for cursor pagination
+ * @returns {Object} Response with a page of issues, total count and next/prev links
  */
-router.get("/", async (req, res) => {
+router.get("/", requireScope("issues:read"), async (req, res) => {
   try {
-    // Fetch all issues with author details, sorted by creation date (newest first)
-    const issues = await Issue.find()
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 });
-    
-    // Calculate comment count for each issue
-    const issuesWithComments = await Promise.all(
-      issues.map(async (issue) => {
-        const commentCount = await Comment.countDocuments({ issue: issue._id });
-        return {
-          ...issue.toObject(),
-          commentCount,
-          ageInDays: issue.ageInDays,
-          isOverdue: issue.isOverdue
-        };
-      })
-    );
-    
+    await sendIssueList(req, res);
+  } catch (error) {
+    sendListError(res, error, "Failed to fetch issues");
+  }
+});
+
+/**
+ * @route   GET /api/issues/my-issues
+ * @desc    List the current user's issues; accepts the same parameters as GET /api/issues
+ * @access  Private
+ * @scope   issues:read
+ * @returns {Object} Response with a page of the user's issues
+ */
+router.get("/my-issues", requireScope("issues:read"), async (req, res) => {
+  try {
+    await sendIssueList(req, res, { author: req.user._id });
+  } catch (error) {
+    sendListError(res, error, "Failed to fetch your issues");
+  }
+});
+
+/**
+ * @route   GET /api/issues/assigned-to-me
+ * @desc    List issues assigned to the current user; accepts the same parameters as GET /api/issues
+ * @access  Private
+ * @scope   issues:read
+ * @returns {Object} Response with a page of issues assigned to the user
+ */
+router.get("/assigned-to-me", requireScope("issues:read"), async (req, res) => {
+  try {
+    await sendIssueList(req, res, { assignees: req.user._id });
+  } catch (error) {
+    sendListError(res, error, "Failed to fetch assigned issues");
+  }
+});
+
+/**
+ * Add the derived totals shown by the statistics endpoints
+ * @param {Object} statistics - Result of Issue.getStatistics
+ * @returns {Object} Statistics with solved, ongoing and completionRate
+ */
+const withSummary = (statistics) => {
+  const { total, open, inProgress, done } = statistics;
+  return {
+    ...statistics,
+    solved: done,
+    ongoing: open + inProgress,
+    completionRate: total > 0 ? (done / total * 100).toFixed(1) : 0
+  };
+};
+
+/**
+ * @route   GET /api/issues/stats
+ * @desc    Get statistics by status, priority, category, severity and label for the issues
+ *          of one project (/api/projects/:projectId/issues/stats) or of all the user's projects
+ * @access  Private
+ * @scope   issues:read
+ * @returns {Object} Response with issue statistics
+ */
+router.get("/stats", requireScope("issues:read"), async (req, res) => {
+  try {
+    const statistics = await Issue.getStatistics(req.issueScope);
+
     res.json({
       success: true,
-      count: issuesWithComments.length,
-      data: issuesWithComments
+      data: withSummary(statistics)
     });
   } catch (error) {
-    console.error('Error fetching issues:', error);
+    console.error('Error fetching statistics:', error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch issues",
+      message: "Failed to fetch statistics",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * @route   GET /api/issues/my-issues
- * @desc    Get current user's issues with comment counts
+ * @route   GET /api/issues/my-stats
+ * @desc    Get current user's issue statistics
  * @access  Private
- * @returns {Object} Response with user's issues
+ * @scope   issues:read
+ * @returns {Object} Response with user's issue statistics
  */
-router.get("/my-issues", async (req, res) => {
+router.get("/my-stats", requireScope("issues:read"), async (req, res) => {
   try {
-    // Fetch issues created by the authenticated user
-    const issues = await Issue.find({ author: req.user.id })
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 });
-    
-    // Calculate comment count for each issue
-    const issuesWithComments = await Promise.all(
-      issues.map(async (issue) => {
-        const commentCount = await Comment.countDocuments({ issue: issue._id });
-        return {
-          ...issue.toObject(),
-          commentCount,
-          ageInDays: issue.ageInDays,
-          isOverdue: issue.isOverdue
-        };
-      })
-    );
-    
+    // Calculate various statistics for user's issues
+    const statistics = await Issue.getStatistics({ ...req.issueScope, author: req.user._id });
+
     res.json({
       success: true,
-      count: issuesWithComments.length,
-      data: issuesWithComments
+      data: withSummary(statistics)
     });
   } catch (error) {
-    console.error('Error fetching user issues:', error);
+    console.error('Error fetching user statistics:', error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch your issues",
+      message: "Failed to fetch statistics",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * @route   GET /api/issues/my-stats
- * @desc    Get current user's issue statistics
+ * Maximum number of candidate issues ranked by a search
+ */
+const SEARCH_MAX_CANDIDATES = 500;
+
+/**
+ * Weight of a matching comment relative to a match in the issue itself
+ */
+const SEARCH_COMMENT_WEIGHT = 0.5;
+
+/**
+ * @route   GET /api/issues/search
+ * @desc    Search issues with free text and field qualifiers
  * @access  Private
- * @returns {Object} Response with user's issue statistics
+ * @scope   issues:read
+ * @query   {string} q - Search query, e.g. `login status:Open assignee:me created:>2026-01-01`
+ * @query   {number} [limit=20] - Page size (max 100)
+ * @query   {number} [page=1] - Page number
+ * @returns {Object} Response with issues ranked by relevance and highlighted snippets
  */
-router.get("/my-stats", async (req, res) => {
+router.get("/search", requireScope("issues:read"), async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    // Calculate various statistics for user's issues
-    const [total, open, inProgress, resolved, closed] = await Promise.all([
-      Issue.countDocuments({ author: userId }),
-      Issue.countDocuments({ author: userId, status: "Open" }),
-      Issue.countDocuments({ author: userId, status: "In Progress" }),
-      Issue.countDocuments({ author: userId, status: "Resolved" }),
-      Issue.countDocuments({ author: userId, status: "Closed" })
-    ]);
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query 'q' is required"
+      });
+    }
 
-    const statistics = {
-      total,
-      open,
-      inProgress,
-      resolved,
-      closed,
-      solved: resolved + closed,
-      ongoing: open + inProgress,
-      completionRate: total > 0 ? ((resolved + closed) / total * 100).toFixed(1) : 0
+    const limit = Number(req.query.limit || DEFAULT_LIMIT);
+    const page = Number(req.query.page || 1);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT ||
+        !Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_LIMIT} and page a positive integer`
+      });
+    }
+
+    const parsed = parseSearchQuery(q);
+    const qualifierFilter = await buildQualifierFilter(parsed.qualifiers, {
+      Issue,
+      User,
+      Label,
+      Milestone,
+      user: req.user
+    });
+
+    // Negated words exclude issues that mention them in the title or description
+    const positiveTerms = parsed.terms.filter((term) => !term.negated);
+    const negativeTerms = parsed.terms.filter((term) => term.negated);
+    const exclusions = negativeTerms.flatMap((term) => {
+      const pattern = new RegExp(escapeRegex(term.text), 'i');
+      return [{ title: pattern }, { description: pattern }];
+    });
+    const filter = {
+      $and: [req.issueScope, qualifierFilter, ...(exclusions.length > 0 ? [{ $nor: exclusions }] : [])]
+    };
+
+    // Collect candidates with their relevance: issue text matches plus
+    // issues with matching comments
+    const candidates = new Map();
+    const candidateFor = (issue) => {
+      const key = issue._id.toString();
+      if (!candidates.has(key)) {
+        candidates.set(key, { issue, issueScore: 0, commentScore: 0, comment: null });
+      }
+      return candidates.get(key);
     };
 
+    if (positiveTerms.length === 0) {
+      const issues = await Issue.find(filter)
+        .sort({ updatedAt: -1 })
+        .limit(SEARCH_MAX_CANDIDATES)
+        .lean();
+      issues.forEach(candidateFor);
+    } else {
+      const textSearch = { $search: buildTextSearch(parsed.terms) };
+
+      const [issueHits, commentHits] = await Promise.all([
+        Issue.find({ ...filter, $text: textSearch }, { score: { $meta: 'textScore' } })
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(SEARCH_MAX_CANDIDATES)
+          .lean(),
+        Comment.aggregate([
+          { $match: { $text: textSearch } },
+          { $addFields: { score: { $meta: 'textScore' } } },
+          { $sort: { score: -1 } },
+          { $group: { _id: "$issue", score: { $first: "$score" }, content: { $first: "$content" } } },
+          // Only issues in scope that match the qualifiers count towards the limit
+          {
+            $lookup: {
+              from: Issue.collection.name,
+              let: { issueId: "$_id" },
+              pipeline: [
+                { $match: { $expr: { $eq: ["$_id", "$$issueId"] } } },
+                { $match: Issue.find().cast(Issue, filter) },
+                { $project: { _id: 1 } }
+              ],
+              as: "issue"
+            }
+          },
+          { $match: { "issue.0": { $exists: true } } },
+          { $project: { issue: 0 } },
+          { $sort: { score: -1 } },
+          { $limit: SEARCH_MAX_CANDIDATES }
+        ])
+      ]);
+
+      for (const hit of issueHits) {
+        const { score, ...issue } = hit;
+        candidateFor(issue).issueScore = score;
+      }
+
+      // Issues found only through their comments still have to match the qualifiers
+      const commentOnlyIds = commentHits
+        .map((hit) => hit._id)
+        .filter((id) => !candidates.has(id.toString()));
+      if (commentOnlyIds.length > 0) {
+        const issues = await Issue.find({ ...filter, _id: { $in: commentOnlyIds } }).lean();
+        issues.forEach(candidateFor);
+      }
+
+      for (const hit of commentHits) {
+        const candidate = candidates.get(hit._id.toString());
+        if (candidate) {
+          candidate.commentScore = hit.score;
+          candidate.comment = hit.content;
+        }
+      }
+    }
+
+    const ranked = [...candidates.values()]
+      .map((candidate) => ({
+        ...candidate,
+        score: positiveTerms.length > 0
+          ? candidate.issueScore + SEARCH_COMMENT_WEIGHT * candidate.commentScore
+          : null
+      }))
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    const pageItems = ranked.slice((page - 1) * limit, page * limit);
+    const issues = await Issue.populate(
+      pageItems.map((item) => Issue.hydrate(item.issue)),
+      ISSUE_POPULATE
+    );
+
+    const data = issues.map((issue, index) => {
+      const item = pageItems[index];
+      const highlights = [
+        { field: 'title', snippet: highlight(issue.title, positiveTerms) },
+        { field: 'description', snippet: highlight(issue.description, positiveTerms) },
+        { field: 'comment', snippet: highlight(item.comment, positiveTerms) }
+      ].filter((entry) => entry.snippet);
+
+      return {
+        ...issue.toObject(),
+        ageInDays: issue.ageInDays,
+        isOverdue: issue.isOverdue,
+        score: item.score,
+        highlights
+      };
+    });
+
     res.json({
       success: true,
-      data: statistics
+      count: data.length,
+      total: ranked.length,
+      data,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(ranked.length / limit),
+        hasNext: page * limit < ranked.length,
+        hasPrev: page > 1
+      },
+      links: {
+        self: buildPageLink(req, {}),
+        next: page * limit < ranked.length ? buildPageLink(req, { page: page + 1 }) : null,
+        prev: page > 1 ? buildPageLink(req, { page: page - 1 }) : null
+      }
     });
   } catch (error) {
-    console.error('Error fetching user statistics:', error);
+    if (error instanceof SearchSyntaxError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid search query: ${error.reason}`,
+        position: error.position
+      });
+    }
+
+    console.error('Error searching issues:', error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch statistics",
+      message: "Failed to search issues",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -151,12 +637,14 @@ router.get("/my-stats", async (req, res) => {
 
 /**
  * @route   GET /api/issues/:id
- * @desc    Get single issue with author information
+ * @desc    Get single issue with author information and, for parent issues,
+ *   the rolled-up status of its sub-tasks
  * @access  Private
+ * @scope   issues:read
  * @param   {string} id - Issue ID
  * @returns {Object} Response with issue details
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", requireScope("issues:read"), async (req, res) => {
   try {
     const issueId = req.params.id;
     
@@ -169,7 +657,7 @@ router.get("/:id", async (req, res) => {
     }
     
     const issue = await Issue.findById(issueId)
-      .populate('author', 'name email');
+      .populate(ISSUE_POPULATE);
     
     if (!issue) {
       return res.status(404).json({
@@ -178,11 +666,12 @@ router.get("/:id", async (req, res) => {
       });
     }
     
-    // Add virtual fields to response
+    // Add virtual fields and the status of sub-tasks to response
     const issueWithVirtuals = {
       ...issue.toObject(),
       ageInDays: issue.ageInDays,
-      isOverdue: issue.isOverdue
+      isOverdue: issue.isOverdue,
+      subtasks: await getSubtaskRollup(issue._id)
     };
     
     res.json({
@@ -200,26 +689,60 @@ router.get("/:id", async (req, res) => {
 });
 
 /**
+ * @route   POST /api/projects/:projectId/issues
  * @route   POST /api/issues
- * @desc    Create new issue
- * @access  Private
- * @body    {Object} Issue data (title, description, status, priority, assignee)
+ * @desc    Create new issue in a project. Under /api/issues the project is
+ *          given as `project` in the body, or else the default project is
+ *          used. Users mentioned in the description as @username are
+ *          notified and issues referenced as #number get a backlink (see
+ *          utils/references).
+ * @access  Private (project members)
+ * @scope   issues:write
+ * @body    {Object} Issue data (title, description, status, priority, severity, category, labels, assignees, milestone, dueDate, project)
  * @returns {Object} Response with created issue
  */
-router.post("/", async (req, res) => {
+router.post("/", requireScope("issues:write"), loadNewIssueProject, authorize(PERMISSIONS.ISSUE_CREATE), async (req, res) => {
   try {
-    // Prepare issue data with authenticated user as author
+    // Prepare issue data with authenticated user as author. The ID and
+    // timestamps are set by the database, SLA fields and the number by the
+    // model, watchers through the watch endpoints and mentions and
+    // references follow the description.
+    const {
+      _id, createdAt, updatedAt, sla, watchers, number, mentions, references,
+      ...fields
+    } = req.body;
     const issueData = {
-      ...req.body,
-      author: req.user.id
+      ...fields,
+      author: req.user.id,
+      project: req.project._id
     };
     
+    // New issues always start in the initial status of the workflow
+    if (issueData.status !== undefined && issueData.status !== INITIAL_STATUS) {
+      return res.status(400).json({
+        success: false,
+        message: `New issues start as ${INITIAL_STATUS}`
+      });
+    }
+    
+    // Assignees, labels and the milestone must exist
+    const referenceError = await validateReferences(issueData, req.project);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+    
     // Create new issue
-    const issue = await Issue.create(issueData);
+    const found = await resolveReferences(issueData.description, { issue: issueData, project: req.project, user: req.user });
+    const issue = await Issue.create({ ...issueData, ...found });
+    const activity = await recordActivity({ issue: issue._id, project: issue.project, actor: req.user.id, action: 'created' });
+    await announceReferences(found, { issue, actor: req.user, activity: activity && activity._id });
     
-    // Populate author information for response
+    // Populate author and assignee information for response
     const populatedIssue = await Issue.findById(issue._id)
-      .populate('author', 'name email');
+      .populate(ISSUE_POPULATE);
     
     res.status(201).json({
       success: true,
@@ -249,13 +772,14 @@ router.post("/", async (req, res) => {
 
 /**
  * @route   PUT /api/issues/:id
- * @desc    Update existing issue
- * @access  Private
+ * @desc    Update existing issue. Status changes must be allowed by the workflow.
+ * @access  Private (author, maintainer or admin)
+ * @scope   issues:write
  * @param   {string} id - Issue ID
- * @body    {Object} Updated issue data
+ * @body    {Object} Updated issue data, plus an optional `comment` added with the change
  * @returns {Object} Response with updated issue
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireScope("issues:write"), async (req, res) => {
   try {
     const issueId = req.params.id;
     
@@ -276,28 +800,103 @@ router.put("/:id", async (req, res) => {
       });
     }
     
-    // Optional: Check if user owns the issue (uncomment if needed)
-    // if (existingIssue.author.toString() !== req.user.id) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: "Not authorized to update this issue"
-    //   });
-    // }
+    if (!canUpdateIssue(req.user, existingIssue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    // The author, project, ID, number, timestamps, SLA, watchers, mentions
+    // and references of an issue cannot be changed through an update. A
+    // comment can accompany the change and may be required by the workflow.
+    const {
+      author, project, _id, number, createdAt, updatedAt, sla, watchers, mentions, references, comment,
+      ...updates
+    } = req.body;
+    const commentText = typeof comment === 'string' ? comment.trim() : '';
     
-    // Update issue with validation
-    const updatedIssue = await Issue.findByIdAndUpdate(
-      issueId,
-      req.body,
-      { 
-        new: true, 
-        runValidators: true 
+    // Assignees, labels and the milestone must exist
+    const referenceError = await validateReferences(updates, req.project, existingIssue);
+    if (referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: referenceError
+      });
+    }
+    
+    // Apply the changes to the document so validation and save hooks run,
+    // then record what changed
+    const before = existingIssue.toObject();
+    existingIssue.set(updates);
+    
+    // Status changes must follow the workflow
+    if (existingIssue.status !== before.status) {
+      const refusal = checkTransition(existingIssue, before.status, req.user, req.projectRole, commentText);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message,
+          errors: refusal.errors
+        });
       }
-    ).populate('author', 'name email');
+    }
+    
+    // A comment from someone other than the author answers the issue
+    if (commentText) {
+      existingIssue.recordResponse(req.user.id);
+    }
+    
+    // Mentions and references follow the description
+    let found = null;
+    if (existingIssue.isModified('description')) {
+      found = await resolveReferences(existingIssue.description, {
+        issue: existingIssue,
+        project: req.project,
+        user: req.user
+      });
+      existingIssue.set(found);
+    }
+    
+    await existingIssue.save();
+    await recordIssueChanges(before, existingIssue, req.user.id);
+    if (found) {
+      await announceReferences(found, { issue: existingIssue, actor: req.user, previous: before });
+    }
+    
+    if (commentText) {
+      const commentReferences = await resolveReferences(commentText, {
+        issue: existingIssue,
+        project: req.project,
+        user: req.user
+      });
+      const addedComment = await Comment.create({
+        content: commentText,
+        author: req.user.id,
+        issue: existingIssue._id,
+        ...commentReferences
+      });
+      const activity = await recordActivity({
+        issue: existingIssue._id,
+        project: existingIssue.project,
+        actor: req.user.id,
+        action: 'commented',
+        comment: addedComment._id
+      });
+      await announceReferences(commentReferences, {
+        issue: existingIssue,
+        comment: addedComment,
+        actor: req.user,
+        activity: activity && activity._id
+      });
+    }
+    
+    await existingIssue.populate(ISSUE_POPULATE);
     
     res.json({
       success: true,
       message: "Issue updated successfully",
-      data: updatedIssue
+      data: existingIssue
     });
   } catch (error) {
     console.error('Error updating issue:', error);
@@ -321,13 +920,14 @@ router.put("/:id", async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/issues/:id
- * @desc    Delete issue
+ * @route   GET /api/issues/:id/transitions
+ * @desc    List the status changes the current user may make on an issue
  * @access  Private
+ * @scope   issues:read
  * @param   {string} id - Issue ID
- * @returns {Object} Response confirming deletion
+ * @returns {Object} Response with the current status and available transitions
  */
-router.delete("/:id", async (req, res) => {
+router.get("/:id/transitions", requireScope("issues:read"), async (req, res) => {
   try {
     const issueId = req.params.id;
     
@@ -340,7 +940,6 @@ router.delete("/:id", async (req, res) => {
     }
     
     const issue = await Issue.findById(issueId);
-    
     if (!issue) {
       return res.status(404).json({
         success: false,
@@ -348,42 +947,44 @@ router.delete("/:id", async (req, res) => {
       });
     }
     
-    // Optional: Check if user owns the issue (uncomment if needed)
-    // if (issue.author.toString() !== req.user.id) {
-    //   return res.status(403).json({
-    //     success: false,
-    //     message: "Not authorized to delete this issue"
-    //   });
-    // }
-    
-    // Delete the issue
-    await Issue.findByIdAndDelete(issueId);
-    
-    // Also delete associated comments
-    await Comment.deleteMany({ issue: issueId });
+    const transitions = canUpdateIssue(req.user, issue, req.projectRole)
+      ? transitionsFrom(issue.status).filter((transition) => canPerform(transition, issue, req.user, req.projectRole))
+      : [];
+    const current = workflow.statuses.find((status) => status.name === issue.status);
     
     res.json({
       success: true,
-      message: "Issue and associated comments deleted successfully"
+      data: {
+        status: issue.status,
+        category: current ? current.category : null,
+        transitions: transitions.map((transition) => ({
+          name: transition.name,
+          to: transition.to,
+          requires: transition.requires,
+          missingFields: missingFields(transition, issue)
+        }))
+      }
     });
   } catch (error) {
-    console.error('Error deleting issue:', error);
+    console.error('Error fetching transitions:', error);
     res.status(500).json({
       success: false,
-      message: "Failed to delete issue",
+      message: "Failed to fetch transitions",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * @route   GET /api/issues/:id/comments
- * @desc    Get comments for a specific issue
- * @access  Private
+ * @route   POST /api/issues/:id/assignees
+ * @desc    Assign users to an issue; users already assigned are kept
+ * @access  Private (author, maintainer or admin)
+ * @scope   issues:write
  * @param   {string} id - Issue ID
- * @returns {Object} Response with array of comments
+ * @body    {Object} { assignees: [userId] }
+ * @returns {Object} Response with updated issue
  */
-router.get("/:id/comments", async (req, res) => {
+router.post("/:id/assignees", requireScope("issues:write"), async (req, res) => {
   try {
     const issueId = req.params.id;
     
@@ -395,7 +996,6 @@ router.get("/:id/comments", async (req, res) => {
       });
     }
     
-    // Check if issue exists
     const issue = await Issue.findById(issueId);
     if (!issue) {
       return res.status(404).json({
@@ -404,56 +1004,74 @@ router.get("/:id/comments", async (req, res) => {
       });
     }
     
-    // Fetch comments for the issue
-    const comments = await Comment.find({ issue: issueId })
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 });
+    if (!canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    const { ids: userIds, error } = await findReferences('assignees', req.body.assignees, req.project);
+    if (error || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: error || "At least one assignee is required"
+      });
+    }
+    
+    const before = issue.toObject();
+    issue.assignees.push(...userIds);
+    await issue.save();
+    await recordIssueChanges(before, issue, req.user.id);
+    await issue.populate(ISSUE_POPULATE);
     
     res.json({
       success: true,
-      count: comments.length,
-      data: comments
+      message: "Assignees added successfully",
+      data: issue
     });
   } catch (error) {
-    console.error('Error fetching comments:', error);
+    console.error('Error adding assignees:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      message: "Failed to fetch comments",
+      message: "Failed to add assignees",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * @route   POST /api/issues/:id/comments
- * @desc    Add comment to an issue
- * @access  Private
+ * @route   DELETE /api/issues/:id/assignees/:userId
+ * @desc    Remove a user from an issue's assignees
+ * @access  Private (author, maintainer or admin)
+ * @scope   issues:write
  * @param   {string} id - Issue ID
- * @body    {Object} Comment data (content)
- * @returns {Object} Response with created comment
+ * @param   {string} userId - ID of the assigned user
+ * @returns {Object} Response with updated issue
  */
-router.post("/:id/comments", async (req, res) => {
+router.delete("/:id/assignees/:userId", requireScope("issues:write"), async (req, res) => {
   try {
-    const issueId = req.params.id;
-    const { content } = req.body;
+    const { id: issueId, userId } = req.params;
     
     // Validate ObjectId format
-    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid issue ID format"
-      });
-    }
-    
-    // Validate comment content
-    if (!content || content.trim().length === 0) {
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !userId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: "Comment content is required"
+        message: "Invalid issue or user ID format"
       });
     }
     
-    // Check if issue exists
     const issue = await Issue.findById(issueId);
     if (!issue) {
       return res.status(404).json({
@@ -462,38 +1080,1495 @@ router.post("/:id/comments", async (req, res) => {
       });
     }
     
-    // Create new comment
-    const comment = await Comment.create({
-      content: content.trim(),
+    if (!canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    if (!issue.assignees.some((assignee) => assignee.toString() === userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not assigned to this issue"
+      });
+    }
+    
+    const before = issue.toObject();
+    issue.assignees.pull(userId);
+    await issue.save();
+    await recordIssueChanges(before, issue, req.user.id);
+    await issue.populate(ISSUE_POPULATE);
+    
+    res.json({
+      success: true,
+      message: "Assignee removed successfully",
+      data: issue
+    });
+  } catch (error) {
+    console.error('Error removing assignee:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove assignee",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/watchers
+ * @desc    List the users watching an issue
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with the watchers and whether the current user is one
+ */
+router.get("/:id/watchers", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId)
+      .select('watchers')
+      .populate('watchers', 'name email');
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: issue.watchers.length,
+      watching: issue.watchers.some((watcher) => watcher._id.toString() === req.user.id),
+      data: issue.watchers
+    });
+  } catch (error) {
+    console.error('Error fetching watchers:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch watchers",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/watch
+ * @desc    Watch an issue to be notified of its changes
+ * @access  Private
+ * @scope   notifications:write
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with the number of watchers
+ */
+router.post("/:id/watch", requireScope("notifications:write"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await addWatchers(issueId, [req.user._id]);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "You are now watching this issue",
+      data: { watching: true, watchers: issue.watchers.length }
+    });
+  } catch (error) {
+    console.error('Error watching issue:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to watch issue",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:id/watch
+ * @desc    Stop watching an issue. Commenting on it or being assigned to
+ *          it subscribes the user again.
+ * @access  Private
+ * @scope   notifications:write
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with the number of watchers
+ */
+router.delete("/:id/watch", requireScope("notifications:write"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    // Unwatching is not a change to the issue
+    const issue = await Issue.findByIdAndUpdate(
+      issueId,
+      { $pull: { watchers: req.user._id } },
+      { new: true, timestamps: false }
+    );
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: "You are no longer watching this issue",
+      data: { watching: false, watchers: issue.watchers.length }
+    });
+  } catch (error) {
+    console.error('Error unwatching issue:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unwatch issue",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/links
+ * @desc    List the links of an issue and the rolled-up status of its sub-tasks
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with links ({ _id, type, issue }) as seen from
+ *   this issue, and subtasks (null if the issue has none)
+ */
+router.get("/:id/links", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId).select('_id');
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    // Linked issues in projects the user cannot see are left out
+    const [links, subtasks] = await Promise.all([
+      getLinks(issue._id, await visibleIssuesFilter(req.user)),
+      getSubtaskRollup(issue._id)
+    ]);
+    
+    res.json({
+      success: true,
+      count: links.length,
+      data: { links, subtasks }
+    });
+  } catch (error) {
+    console.error('Error fetching issue links:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch issue links",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/links
+ * @desc    Link an issue to another issue. The reverse link appears on the
+ *   other issue. An issue marked as a duplicate is closed with a comment
+ *   pointing to the original.
+ * @access  Private (author, maintainer or admin of both issues)
+ * @scope   issues:write
+ * @param   {string} id - Issue ID
+ * @body    {Object} { type, issue } where type is duplicates, duplicated_by,
+ *   blocks, blocked_by, relates_to, parent_of or child_of
+ * @returns {Object} Response with the created link as seen from this issue
+ */
+router.post("/:id/links", requireScope("issues:write"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    const { type, issue: otherId } = req.body;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    if (!Object.keys(LINK_TYPES).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(LINK_TYPES).join(', ')}`
+      });
+    }
+    if (!isValidObjectId(otherId)) {
+      return res.status(400).json({
+        success: false,
+        message: "issue must be an issue ID"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    if (!canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    const other = await Issue.findOne({ _id: otherId, ...await visibleIssuesFilter(req.user) });
+    if (!other) {
+      return res.status(404).json({
+        success: false,
+        message: "Linked issue not found"
+      });
+    }
+    
+    // The link changes the other issue too, so the user must be allowed to
+    // update it in its own project
+    if (!canUpdateIssue(req.user, other, await linkedIssueRole(req, other))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update the linked issue"
+      });
+    }
+    
+    const link = toStoredLink(type, issue._id, other._id);
+    const [source, target] = link.source.equals(issue._id) ? [issue, other] : [other, issue];
+    const conflict = await checkNewLink(link, source, target);
+    if (conflict) {
+      return res.status(conflict.status).json({
+        success: false,
+        message: conflict.message
+      });
+    }
+    
+    // A duplicate is closed through the workflow, with a comment naming the
+    // original as the reason. Duplicates share the project, so the user's
+    // project role applies to both issues.
+    const duplicateComment = `Duplicate of "${target.title}" (${target._id})`;
+    const closeDuplicate = link.type === 'duplicates' && !statusesIn('done').includes(source.status);
+    const before = source.toObject();
+    if (closeDuplicate) {
+      source.status = DUPLICATE_STATUS;
+      const refusal = checkTransition(source, before.status, req.user, req.projectRole, duplicateComment);
+      if (refusal) {
+        return res.status(refusal.status).json({
+          success: false,
+          message: refusal.message,
+          errors: refusal.errors
+        });
+      }
+    }
+    
+    // The link is stored first and removed again if the duplicate cannot
+    // be closed, so neither change is left without the other
+    const created = await IssueLink.create({ ...link, createdBy: req.user.id });
+    if (closeDuplicate) {
+      try {
+        await source.save();
+      } catch (error) {
+        await created.deleteOne();
+        throw error;
+      }
+      await recordIssueChanges(before, source, req.user.id);
+    }
+    await recordLinkActivity(created, 'linked', [issue, other], req.user.id);
+    
+    if (closeDuplicate) {
+      const comment = await Comment.create({
+        content: duplicateComment,
+        author: req.user.id,
+        issue: source._id
+      });
+      await recordActivity({
+        issue: source._id,
+        project: source.project,
+        actor: req.user.id,
+        action: 'commented',
+        comment: comment._id
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: closeDuplicate
+        ? "Issues linked successfully; the duplicate was closed"
+        : "Issues linked successfully",
+      data: {
+        _id: created._id,
+        type,
+        issue: {
+          _id: other._id,
+          title: other.title,
+          status: other.status,
+          priority: other.priority,
+          project: other.project
+        },
+        createdBy: created.createdBy,
+        createdAt: created.createdAt
+      }
+    });
+  } catch (error) {
+    // Created at the same time by another request
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "These issues are already linked this way"
+      });
+    }
+    
+    console.error('Error linking issues:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to link issues",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:id/links/:linkId
+ * @desc    Remove a link from an issue, on both sides. Closed duplicates
+ *   stay closed.
+ * @access  Private (author, maintainer or admin of both issues)
+ * @scope   issues:write
+ * @param   {string} id - Issue ID
+ * @param   {string} linkId - Link ID
+ * @returns {Object} Response confirming removal
+ */
+router.delete("/:id/links/:linkId", requireScope("issues:write"), async (req, res) => {
+  try {
+    const { id: issueId, linkId } = req.params;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !linkId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or link ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    if (!canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    const link = await IssueLink.findOne({
+      _id: linkId,
+      $or: [{ source: issue._id }, { target: issue._id }]
+    });
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: "Link not found"
+      });
+    }
+    
+    // Removing the link changes the other issue too; a deleted one no
+    // longer counts
+    const other = await Issue.findById(describeLink(link, issue._id).issue).select('project author');
+    if (other && !canUpdateIssue(req.user, other, await linkedIssueRole(req, other))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update the linked issue"
+      });
+    }
+    
+    await link.deleteOne();
+    await recordLinkActivity(link, 'unlinked', other ? [issue, other] : [issue], req.user.id);
+    
+    res.json({
+      success: true,
+      message: "Link removed successfully"
+    });
+  } catch (error) {
+    console.error('Error removing issue link:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove issue link",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:id
+ * @desc    Delete issue
+ * @access  Private (admin)
+ * @scope   issues:write
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:id", requireScope("issues:write"), authorize(PERMISSIONS.ISSUE_DELETE), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    // Delete the issue
+    await Issue.findByIdAndDelete(issueId);
+    
+    // Also delete associated comments, links, notifications and attachments
+    await Comment.deleteMany({ issue: issueId });
+    await IssueLink.deleteMany({ $or: [{ source: issue._id }, { target: issue._id }] });
+    await Notification.deleteMany({ issue: issue._id });
+    await removeAttachments({ issue: issue._id });
+    
+    // The activity log is kept; record the final state of the issue
+    await recordActivity({
+      issue: issue._id,
+      project: issue.project,
+      actor: req.user.id,
+      action: 'deleted',
+      changes: [
+        { field: 'title', from: issue.title, to: null },
+        { field: 'status', from: issue.status, to: null }
+      ]
+    });
+    
+    res.json({
+      success: true,
+      message: "Issue and associated comments deleted successfully"
+    });
+  } catch (error) {
+    console.error('Error deleting issue:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete issue",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Prepare a comment for a response: reactions are counted per emoji
+ * @param {Object} comment - Comment document
+ * @param {Object} user - Authenticated user
+ * @param {Object[]} [attachments] - Files attached to the comment
+ * @returns {Object} Comment with reactions as [{ emoji, count, reacted }],
+ *   without its edit history
+ */
+const presentComment = (comment, user, attachments) => {
+  const reactions = REACTIONS
+    .map((emoji) => {
+      const given = comment.reactions.filter((reaction) => reaction.emoji === emoji);
+      return {
+        emoji,
+        count: given.length,
+        reacted: given.some((reaction) => reaction.user.equals(user._id))
+      };
+    })
+    .filter((reaction) => reaction.count > 0);
+  
+  // Earlier versions are only listed by the history endpoint
+  const { edits, ...data } = { ...comment.toJSON(), reactions };
+  if (attachments) {
+    data.attachments = attachments;
+  }
+  return data;
+};
+
+/**
+ * Check whether a user may edit or delete a comment
+ * @param {Object} user - Authenticated user document
+ * @param {Object} comment - Comment document
+ * @param {string} [role=user.role] - Role to check, e.g. the user's project role
+ * @returns {boolean} True for the author and for moderators
+ */
+const canChangeComment = (user, comment, role = user.role) =>
+  comment.author.toString() === user.id || hasPermission(role, PERMISSIONS.COMMENT_MODERATE);
+
+/**
+ * @route   GET /api/issues/:id/comments
+ * @desc    Get the comments of an issue. Top-level comments are paginated
+ *          and each carries its replies, oldest first.
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @query   {string} [sort=-createdAt] - "-createdAt" for newest first or
+ *   "createdAt" for oldest first
+ * @query   {number} [limit=20] - Top-level comments per page (max 100)
+ * @query   {number} [page=1] - Page number
+ * @returns {Object} Response with array of comments, each with its
+ *   attachments, reactions and replies
+ */
+router.get("/:id/comments", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const sort = req.query.sort || '-createdAt';
+    const limit = Number(req.query.limit || DEFAULT_LIMIT);
+    const page = Number(req.query.page || 1);
+    if (!['createdAt', '-createdAt'].includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: "sort must be createdAt (oldest first) or -createdAt (newest first)"
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT ||
+        !Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_LIMIT} and page a positive integer`
+      });
+    }
+    
+    // Check if issue exists
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    // Fetch a page of top-level comments, then their replies
+    const filter = { issue: issue._id, parent: null };
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .populate('author', 'name email')
+        .sort({ createdAt: sort === 'createdAt' ? 1 : -1, _id: sort === 'createdAt' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Comment.countDocuments(filter)
+    ]);
+    const replies = await Comment.find({ issue: issue._id, parent: { $in: comments.map((comment) => comment._id) } })
+      .populate('author', 'name email')
+      .sort({ createdAt: 1, _id: 1 });
+    
+    // Add the files attached to each comment
+    const attachments = await Attachment.find({
+      comment: { $in: [...comments, ...replies].map((comment) => comment._id) }
+    }).sort({ createdAt: 1 });
+    const attachmentsByComment = {};
+    for (const attachment of attachments) {
+      const key = attachment.comment.toString();
+      attachmentsByComment[key] = [...(attachmentsByComment[key] || []), attachment];
+    }
+    const present = (comment) => presentComment(comment, req.user, attachmentsByComment[comment._id.toString()] || []);
+    
+    res.json({
+      success: true,
+      count: comments.length,
+      total,
+      data: comments.map((comment) => ({
+        ...present(comment),
+        replies: replies.filter((reply) => reply.parent.equals(comment._id)).map(present)
+      })),
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      },
+      links: {
+        self: buildPageLink(req, {}),
+        next: page * limit < total ? buildPageLink(req, { page: page + 1 }) : null,
+        prev: page > 1 ? buildPageLink(req, { page: page - 1 }) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comments",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/comments
+ * @desc    Add comment to an issue, or a reply to a comment. Replying to
+ *          a reply adds to the same thread. Mentioned users and referenced
+ *          issues are handled as in issue descriptions.
+ * @access  Private
+ * @scope   comments:write
+ * @param   {string} id - Issue ID
+ * @body    {Object} Comment data (content, and parent: the ID of the
+ *   comment replied to)
+ * @returns {Object} Response with created comment
+ */
+router.post("/:id/comments", requireScope("comments:write"), authorize(PERMISSIONS.COMMENT_CREATE), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    const { content, parent } = req.body;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    if (parent !== undefined && parent !== null && !isValidObjectId(parent)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid parent comment ID format"
+      });
+    }
+    
+    // Validate comment content
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment content is required"
+      });
+    }
+    
+    // Check if issue exists
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    // Replies belong to a top-level comment of the same issue
+    let thread = null;
+    if (parent) {
+      const parentComment = await Comment.findOne({ _id: parent, issue: issue._id, deletedAt: null });
+      if (!parentComment) {
+        return res.status(400).json({
+          success: false,
+          message: "Parent comment not found on this issue"
+        });
+      }
+      thread = parentComment.parent || parentComment._id;
+    }
+    
+    // Create new comment with the users and issues it mentions
+    const found = await resolveReferences(content, { issue, project: req.project, user: req.user });
+    const comment = await Comment.create({
+      content: content.trim(),
       author: req.user.id,
-      issue: issueId
+      issue: issueId,
+      parent: thread,
+      ...found
+    });
+    const activity = await recordActivity({
+      issue: issue._id,
+      project: issue.project,
+      actor: req.user.id,
+      action: 'commented',
+      comment: comment._id
+    });
+    await announceReferences(found, { issue, comment, actor: req.user, activity: activity && activity._id });
+    
+    // The first comment from someone other than the author answers the issue
+    if (issue.recordResponse(req.user.id)) {
+      await issue.save();
+    }
+    
+    // Populate author information for response
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'name email');
+    
+    res.status(201).json({
+      success: true,
+      message: "Comment added successfully",
+      data: presentComment(populatedComment, req.user)
+    });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: "Failed to add comment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/issues/:id/comments/:commentId
+ * @desc    Edit a comment. The previous content is kept in its edit
+ *          history and the comment is marked as edited.
+ * @access  Private (author, or maintainer and admin as moderators)
+ * @scope   comments:write
+ * @param   {string} id - Issue ID
+ * @param   {string} commentId - Comment ID
+ * @body    {Object} { content }
+ * @returns {Object} Response with the updated comment
+ */
+router.put("/:id/comments/:commentId", requireScope("comments:write"), async (req, res) => {
+  try {
+    const { id: issueId, commentId } = req.params;
+    const { content } = req.body || {};
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or comment ID format"
+      });
+    }
+    
+    // Validate comment content
+    if (typeof content !== 'string' || content.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Comment content is required"
+      });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, issue: issueId, deletedAt: null })
+      .select('+edits');
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    if (!canChangeComment(req.user, comment, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to edit this comment"
+      });
+    }
+    
+    // Saving the same content again is not an edit. Only users and issues
+    // the edit adds are told about it.
+    if (comment.content !== content.trim()) {
+      const now = new Date();
+      const issue = await Issue.findById(issueId).select('title project');
+      const previous = { mentions: [...comment.mentions], references: [...comment.references] };
+      const found = await resolveReferences(content, { issue, project: req.project, user: req.user });
+      comment.edits.push({ content: comment.content, editedAt: now, editedBy: req.user._id });
+      comment.content = content.trim();
+      comment.editedAt = now;
+      comment.set(found);
+      await comment.save();
+      await announceReferences(found, { issue, comment, actor: req.user, previous });
+    }
+    
+    await comment.populate('author', 'name email');
+    
+    res.json({
+      success: true,
+      message: "Comment updated successfully",
+      data: presentComment(comment, req.user)
+    });
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    
+    // Handle validation errors
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: "Failed to update comment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:id/comments/:commentId
+ * @desc    Delete a comment and its attachments. A comment with replies
+ *          is kept as an empty placeholder so that its thread remains;
+ *          the placeholder goes once its last reply is deleted.
+ * @access  Private (author, or maintainer and admin as moderators)
+ * @scope   comments:write
+ * @param   {string} id - Issue ID
+ * @param   {string} commentId - Comment ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:id/comments/:commentId", requireScope("comments:write"), async (req, res) => {
+  try {
+    const { id: issueId, commentId } = req.params;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or comment ID format"
+      });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, issue: issueId, deletedAt: null });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    if (!canChangeComment(req.user, comment, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this comment"
+      });
+    }
+    
+    if (await Comment.exists({ parent: comment._id })) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { content: '', deletedAt: new Date(), reactions: [], mentions: [], references: [] }, $unset: { edits: 1 } }
+      );
+    } else {
+      await comment.deleteOne();
+      
+      // A deleted parent is no longer needed once its last reply is gone
+      if (comment.parent && !await Comment.exists({ parent: comment.parent })) {
+        const placeholder = await Comment.findOneAndDelete({ _id: comment.parent, deletedAt: { $ne: null } });
+        if (placeholder) {
+          await removeAttachments({ comment: placeholder._id });
+        }
+      }
+    }
+    await removeAttachments({ comment: comment._id });
+    
+    res.json({
+      success: true,
+      message: "Comment deleted successfully"
+    });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete comment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/comments/:commentId/history
+ * @desc    Get the edit history of a comment, oldest first
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @param   {string} commentId - Comment ID
+ * @returns {Object} Response with the earlier versions ({ content,
+ *   editedAt, editedBy }) and the current content
+ */
+router.get("/:id/comments/:commentId/history", requireScope("issues:read"), async (req, res) => {
+  try {
+    const { id: issueId, commentId } = req.params;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or comment ID format"
+      });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, issue: issueId, deletedAt: null })
+      .select('+edits')
+      .populate('edits.editedBy', 'name email');
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: comment.edits.length,
+      data: {
+        content: comment.content,
+        editedAt: comment.editedAt,
+        edits: comment.edits
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch comment history",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/comments/:commentId/reactions
+ * @desc    Add a reaction to a comment, or remove it if the current user
+ *          has already added it
+ * @access  Private
+ * @scope   comments:write
+ * @param   {string} id - Issue ID
+ * @param   {string} commentId - Comment ID
+ * @body    {Object} { emoji } - One of the emoji in config/comments
+ * @returns {Object} Response with the comment's reactions and whether the
+ *   reaction was added
+ */
+router.post("/:id/comments/:commentId/reactions", requireScope("comments:write"), authorize(PERMISSIONS.COMMENT_CREATE), async (req, res) => {
+  try {
+    const { id: issueId, commentId } = req.params;
+    const { emoji } = req.body || {};
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or comment ID format"
+      });
+    }
+    
+    if (!REACTIONS.includes(emoji)) {
+      return res.status(400).json({
+        success: false,
+        message: `emoji must be one of: ${REACTIONS.join(' ')}`
+      });
+    }
+    
+    const filter = { _id: commentId, issue: issueId, deletedAt: null };
+    if (!await Comment.exists(filter)) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    // Toggle in single updates so that concurrent reactions are not lost
+    const reaction = { emoji, user: req.user._id };
+    const removed = await Comment.updateOne(
+      { ...filter, reactions: { $elemMatch: reaction } },
+      { $pull: { reactions: reaction } },
+      { timestamps: false }
+    );
+    const added = removed.modifiedCount === 0;
+    if (added) {
+      await Comment.updateOne(
+        { ...filter, reactions: { $not: { $elemMatch: reaction } } },
+        { $push: { reactions: reaction } },
+        { timestamps: false }
+      );
+    }
+    
+    const comment = await Comment.findById(commentId).select('reactions');
+    
+    res.json({
+      success: true,
+      message: added ? "Reaction added" : "Reaction removed",
+      data: {
+        added,
+        reactions: presentComment(comment, req.user).reactions
+      }
+    });
+  } catch (error) {
+    console.error('Error toggling reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update reaction",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Reply to a request whose files could not be stored
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from receiving or saving the files
+ */
+const sendUploadError = (res, error) => {
+  const rejection = uploadErrorResponse(error);
+  if (rejection) {
+    return res.status(rejection.status).json({
+      success: false,
+      message: rejection.message
     });
+  }
+  
+  console.error('Error uploading attachments:', error);
+  res.status(500).json({
+    success: false,
+    message: "Failed to upload attachments",
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * @route   GET /api/issues/:id/attachments
+ * @desc    List the attachments of an issue and of its comments, oldest first
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with array of attachments; comment is null
+ *   for files attached to the issue itself
+ */
+router.get("/:id/attachments", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
     
-    // Populate author information for response
-    const populatedComment = await Comment.findById(comment._id)
-      .populate('author', 'name email');
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId).select('_id');
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    const attachments = await Attachment.find({ issue: issue._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: 1 });
+    
+    res.json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch attachments",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/attachments
+ * @desc    Attach files to an issue
+ * @access  Private (users who can update the issue)
+ * @scope   issues:write
+ * @param   {string} id - Issue ID
+ * @body    {multipart/form-data} files - One or more files
+ * @returns {Object} Response with the created attachments
+ */
+router.post("/:id/attachments", requireScope("issues:write"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    if (!canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this issue"
+      });
+    }
+    
+    // Files are only received once the request is known to be allowed
+    await receiveAttachments(req, res);
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No files uploaded. Send them in the '${UPLOAD_FIELD}' field`
+      });
+    }
+    
+    const attachments = await saveAttachments(req.files, { issue, uploadedBy: req.user._id });
     
     res.status(201).json({
       success: true,
-      message: "Comment added successfully",
-      data: populatedComment
+      message: "Attachments uploaded successfully",
+      count: attachments.length,
+      data: attachments
     });
   } catch (error) {
-    console.error('Error creating comment:', error);
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/issues/:id/comments/:commentId/attachments
+ * @desc    Attach files to a comment
+ * @access  Private (comment author)
+ * @scope   comments:write
+ * @param   {string} id - Issue ID
+ * @param   {string} commentId - Comment ID
+ * @body    {multipart/form-data} files - One or more files
+ * @returns {Object} Response with the created attachments
+ */
+router.post("/:id/comments/:commentId/attachments", requireScope("comments:write"), authorize(PERMISSIONS.COMMENT_CREATE), async (req, res) => {
+  try {
+    const { id: issueId, commentId } = req.params;
     
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const validationErrors = Object.values(error.errors).map(err => err.message);
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !commentId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: "Validation failed",
-        errors: validationErrors
+        message: "Invalid issue or comment ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, issue: issue._id, deletedAt: null });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found"
+      });
+    }
+    
+    if (comment.author.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author of a comment can attach files to it"
+      });
+    }
+    
+    // Files are only received once the request is known to be allowed
+    await receiveAttachments(req, res);
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `No files uploaded. Send them in the '${UPLOAD_FIELD}' field`
+      });
+    }
+    
+    const attachments = await saveAttachments(req.files, {
+      issue,
+      comment: comment._id,
+      uploadedBy: req.user._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: "Attachments uploaded successfully",
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    sendUploadError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/attachments/:attachmentId
+ * @desc    Download an attachment through a signed link that expires after
+ *          STORAGE_SIGNED_URL_TTL_SECONDS. Files are always sent as
+ *          downloads, never displayed inline.
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @param   {string} attachmentId - Attachment ID
+ * @query   {boolean} [redirect=true] - "false" to get the link as JSON
+ *   instead of being redirected to it
+ * @returns {Redirect|Object} Redirect to the file, or response with
+ *   { url, expiresAt }; url is relative to the API with local storage
+ */
+router.get("/:id/attachments/:attachmentId", requireScope("issues:read"), async (req, res) => {
+  try {
+    const { id: issueId, attachmentId } = req.params;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !attachmentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or attachment ID format"
+      });
+    }
+    
+    const attachment = await Attachment.findOne({ _id: attachmentId, issue: issueId }).select('+storedName');
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found"
+      });
+    }
+    
+    const link = await attachmentUrl(attachment);
+    if (req.query.redirect === 'false') {
+      return res.json({
+        success: true,
+        data: link
       });
     }
     
+    res.set('Cache-Control', 'no-store');
+    res.redirect(link.url);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
     res.status(500).json({
       success: false,
-      message: "Failed to add comment",
+      message: "Failed to download attachment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/issues/:id/attachments/:attachmentId
+ * @desc    Delete an attachment and its file
+ * @access  Private (uploader, or users who can update the issue)
+ * @scope   issues:write
+ * @param   {string} id - Issue ID
+ * @param   {string} attachmentId - Attachment ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:id/attachments/:attachmentId", requireScope("issues:write"), async (req, res) => {
+  try {
+    const { id: issueId, attachmentId } = req.params;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/) || !attachmentId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue or attachment ID format"
+      });
+    }
+    
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    const attachment = await Attachment.findOne({ _id: attachmentId, issue: issue._id });
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found"
+      });
+    }
+    
+    if (attachment.uploadedBy.toString() !== req.user.id &&
+        !canUpdateIssue(req.user, issue, req.projectRole)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this attachment"
+      });
+    }
+    
+    await removeAttachments({ _id: attachment._id });
+    
+    res.json({
+      success: true,
+      message: "Attachment deleted successfully"
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete attachment",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/history
+ * @desc    Get the activity log of an issue, oldest first. Available for
+ *          deleted issues as well.
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with array of activity entries
+ */
+router.get("/:id/history", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    // Entries of deleted issues are limited to the user's projects
+    const [issueExists, activities] = await Promise.all([
+      Issue.exists({ _id: issueId }),
+      Activity.find({ issue: issueId, ...req.issueScope })
+        .populate(ACTIVITY_POPULATE)
+        .sort({ createdAt: 1, _id: 1 })
+    ]);
+    
+    if (!issueExists && activities.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    res.json({
+      success: true,
+      count: activities.length,
+      data: activities
+    });
+  } catch (error) {
+    console.error('Error fetching issue history:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch issue history",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/issues/:id/timeline
+ * @desc    Get comments and activity of an issue merged into one list, oldest first
+ * @access  Private
+ * @scope   issues:read
+ * @param   {string} id - Issue ID
+ * @returns {Object} Response with array of { type: 'comment' | 'activity', createdAt, data }
+ */
+router.get("/:id/timeline", requireScope("issues:read"), async (req, res) => {
+  try {
+    const issueId = req.params.id;
+    
+    // Validate ObjectId format
+    if (!issueId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid issue ID format"
+      });
+    }
+    
+    // Check if issue exists
+    const issue = await Issue.findById(issueId);
+    if (!issue) {
+      return res.status(404).json({
+        success: false,
+        message: "Issue not found"
+      });
+    }
+    
+    // Comments appear as themselves, so their 'commented' entries are skipped
+    const [comments, activities] = await Promise.all([
+      Comment.find({ issue: issueId }).populate('author', 'name email'),
+      Activity.find({ issue: issueId, action: { $ne: 'commented' } }).populate(ACTIVITY_POPULATE)
+    ]);
+    
+    const timeline = [
+      ...comments.map((comment) => ({ type: 'comment', createdAt: comment.createdAt, data: presentComment(comment, req.user) })),
+      ...activities.map((activity) => ({ type: 'activity', createdAt: activity.createdAt, data: activity }))
+    ].sort((a, b) => a.createdAt - b.createdAt);
+    
+    res.json({
+      success: true,
+      count: timeline.length,
+      data: timeline
+    });
+  } catch (error) {
+    console.error('Error fetching issue timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch issue timeline",
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -0,0 +1,225 @@
+/**
+ * Label Routes Module
+ *
+ * Endpoints for listing and managing the labels that can be attached
+ * to issues. Everyone can list labels; creating, editing and deleting
+ * them requires the label:manage permission.
+ *
+ * @module labelRoutes
+ * @requires express
+ * @requires ../models/Label
+ * @requires ../models/Issue-final
+ * @requires ../models/Project
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../config/roles
+ */
+
+const express = require("express");
+const router = express.Router();
+const Label = require("../models/Label");
+const Issue = require("../models/Issue-final");
+const Project = require("../models/Project");
+const { protect, authorize, requireScope } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { PERMISSIONS } = require("../config/roles");
+
+/**
+ * Apply authentication and account policy middleware to all routes
+ */
+router.use(protect);
+router.use(enforceAccountPolicy);
+
+/**
+ * Send the response for a failed label change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const sendLabelError = (res, error, message) => {
+  // Duplicate label name
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A label with this name already exists"
+    });
+  }
+
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * @route   GET /api/labels
+ * @desc    List all labels with the number of issues using each, among
+ *          the issues of the projects the user can see
+ * @access  Private
+ * @scope   issues:read
+ * @returns {Object} Response with array of labels
+ */
+router.get("/", requireScope("issues:read"), async (req, res) => {
+  try {
+    const projectIds = await Project.visibleIdsFor(req.user);
+    const [labels, usage] = await Promise.all([
+      Label.find().sort({ name: 1 }).collation({ locale: 'en', strength: 2 }),
+      Issue.aggregate([
+        { $match: projectIds ? { project: { $in: projectIds } } : {} },
+        { $unwind: "$labels" },
+        { $group: { _id: "$labels", count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByLabel = new Map(usage.map((entry) => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      count: labels.length,
+      data: labels.map((label) => ({
+        ...label.toObject(),
+        issueCount: countByLabel.get(label.id) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching labels:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch labels",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/labels
+ * @desc    Create a label
+ * @access  Private (maintainer, admin)
+ * @scope   issues:write
+ * @body    {Object} Label data (name, color, description)
+ * @returns {Object} Response with created label
+ */
+router.post("/", requireScope("issues:write"), authorize(PERMISSIONS.LABEL_MANAGE), async (req, res) => {
+  try {
+    const { name, color, description } = req.body;
+
+    const label = await Label.create({
+      name,
+      color,
+      description,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Label created successfully",
+      data: label
+    });
+  } catch (error) {
+    sendLabelError(res, error, "Failed to create label");
+  }
+});
+
+/**
+ * @route   PUT /api/labels/:id
+ * @desc    Rename a label or change its color or description
+ * @access  Private (maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} id - Label ID
+ * @body    {Object} Updated label data (name, color, description)
+ * @returns {Object} Response with updated label
+ */
+router.put("/:id", requireScope("issues:write"), authorize(PERMISSIONS.LABEL_MANAGE), async (req, res) => {
+  try {
+    const labelId = req.params.id;
+
+    // Validate ObjectId format
+    if (!labelId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid label ID format"
+      });
+    }
+
+    const label = await Label.findById(labelId);
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: "Label not found"
+      });
+    }
+
+    for (const field of ['name', 'color', 'description']) {
+      if (req.body[field] !== undefined) {
+        label[field] = req.body[field];
+      }
+    }
+    await label.save();
+
+    res.json({
+      success: true,
+      message: "Label updated successfully",
+      data: label
+    });
+  } catch (error) {
+    sendLabelError(res, error, "Failed to update label");
+  }
+});
+
+/**
+ * @route   DELETE /api/labels/:id
+ * @desc    Delete a label and remove it from all issues
+ * @access  Private (maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} id - Label ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:id", requireScope("issues:write"), authorize(PERMISSIONS.LABEL_MANAGE), async (req, res) => {
+  try {
+    const labelId = req.params.id;
+
+    // Validate ObjectId format
+    if (!labelId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid label ID format"
+      });
+    }
+
+    const label = await Label.findByIdAndDelete(labelId);
+    if (!label) {
+      return res.status(404).json({
+        success: false,
+        message: "Label not found"
+      });
+    }
+
+    // Detach the label from the issues that used it
+    const result = await Issue.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+    res.json({
+      success: true,
+      message: `Label deleted and removed from ${result.modifiedCount} issue(s)`
+    });
+  } catch (error) {
+    console.error('Error deleting label:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete label",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
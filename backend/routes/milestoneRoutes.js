@@ -0,0 +1,483 @@
+/**
+ * Milestone Routes Module
+ *
+ * Endpoints for the milestones (releases or sprints) of a project, mounted
+ * at /api/projects/:projectId/milestones. Issues are attached to a
+ * milestone through their `milestone` field. Every milestone reports its
+ * progress, and its burndown is rebuilt from the issues' activity history.
+ *
+ * @module milestoneRoutes
+ * @requires express
+ * @requires ../models/Milestone
+ * @requires ../models/Issue-final
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../middleware/projectAccess
+ * @requires ../config/roles
+ * @requires ../config/workflow
+ * @requires ../utils/issueList
+ * @requires ../utils/milestones
+ * @requires ../utils/activity
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const Milestone = require("../models/Milestone");
+const Issue = require("../models/Issue-final");
+const { protect, authorize, requireScope } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { loadProject } = require("../middleware/projectAccess");
+const { PERMISSIONS } = require("../config/roles");
+const { statusesIn } = require("../config/workflow");
+const { sendIssueList, sendListError } = require("../utils/issueList");
+const { getProgress, getBurndown } = require("../utils/milestones");
+const { recordActivity, recordIssueChanges } = require("../utils/activity");
+const { isValidObjectId } = require("../utils/helpers");
+
+/**
+ * Apply authentication, account policy and project membership to all routes
+ */
+router.use(protect);
+router.use(enforceAccountPolicy);
+router.use(loadProject);
+
+/**
+ * Load the milestone named by :milestoneId into req.milestone. Milestones
+ * of other projects are reported as not found.
+ */
+router.param("milestoneId", async (req, res, next, id) => {
+  try {
+    const milestone = isValidObjectId(id)
+      ? await Milestone.findOne({ _id: id, project: req.project._id })
+      : null;
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: "Milestone not found"
+      });
+    }
+
+    req.milestone = milestone;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Milestone fields that can be set when creating or updating a milestone
+ */
+const EDITABLE_FIELDS = ['name', 'description', 'startDate', 'dueDate'];
+
+/**
+ * Add progress counts to milestones
+ * @param {Object[]} milestones - Milestone documents
+ * @returns {Promise<Object[]>} Plain milestones with a `progress` field
+ */
+const withProgress = async (milestones) => {
+  const progress = await getProgress(milestones.map((milestone) => milestone._id));
+  return milestones.map((milestone) => ({
+    ...milestone.toObject(),
+    progress: progress.get(milestone._id.toString())
+  }));
+};
+
+/**
+ * Send the response for a failed milestone change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const sendMilestoneError = (res, error, message) => {
+  // Duplicate milestone name within the project
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A milestone with this name already exists in the project"
+    });
+  }
+
+  // Handle validation errors
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    const validationErrors = error.errors
+      ? Object.values(error.errors).map(err => err.message)
+      : [error.message];
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * @route   GET /api/projects/:projectId/milestones
+ * @desc    List the milestones of a project with their progress
+ * @access  Private (project members)
+ * @scope   issues:read
+ * @param   {string} projectId - Project ID
+ * @query   {string} [state] - "open" or "closed"; both when omitted
+ * @returns {Object} Response with array of milestones, soonest due first
+ */
+router.get("/", requireScope("issues:read"), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (req.query.state !== undefined) {
+      if (!['open', 'closed'].includes(req.query.state)) {
+        return res.status(400).json({
+          success: false,
+          message: "state must be open or closed"
+        });
+      }
+      filter.state = req.query.state;
+    }
+
+    const milestones = await Milestone.find(filter).sort({ dueDate: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: milestones.length,
+      data: await withProgress(milestones)
+    });
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch milestones",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:projectId/milestones
+ * @desc    Create a milestone
+ * @access  Private (project maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @body    {Object} Milestone data (name, description, startDate, dueDate)
+ * @returns {Object} Response with created milestone
+ */
+router.post("/", requireScope("issues:write"), authorize(PERMISSIONS.MILESTONE_MANAGE), async (req, res) => {
+  try {
+    const milestoneData = { project: req.project._id, createdBy: req.user._id };
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        milestoneData[field] = req.body[field];
+      }
+    }
+
+    const milestone = await Milestone.create(milestoneData);
+    const [data] = await withProgress([milestone]);
+
+    res.status(201).json({
+      success: true,
+      message: "Milestone created successfully",
+      data
+    });
+  } catch (error) {
+    sendMilestoneError(res, error, "Failed to create milestone");
+  }
+});
+
+/**
+ * @route   GET /api/projects/:projectId/milestones/:milestoneId
+ * @desc    Get a milestone with its progress
+ * @access  Private (project members)
+ * @scope   issues:read
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @returns {Object} Response with the milestone and issue counts by status
+ *   category (open, inProgress, done) and percentComplete
+ */
+router.get("/:milestoneId", requireScope("issues:read"), async (req, res) => {
+  try {
+    const [data] = await withProgress([req.milestone]);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching milestone:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch milestone",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:projectId/milestones/:milestoneId
+ * @desc    Change a milestone's name, description or dates
+ * @access  Private (project maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @body    {Object} Updated milestone data (name, description, startDate, dueDate);
+ *   null clears a date
+ * @returns {Object} Response with updated milestone
+ */
+router.put("/:milestoneId", requireScope("issues:write"), authorize(PERMISSIONS.MILESTONE_MANAGE), async (req, res) => {
+  try {
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        req.milestone[field] = req.body[field];
+      }
+    }
+    await req.milestone.save();
+    const [data] = await withProgress([req.milestone]);
+
+    res.json({
+      success: true,
+      message: "Milestone updated successfully",
+      data
+    });
+  } catch (error) {
+    sendMilestoneError(res, error, "Failed to update milestone");
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:projectId/milestones/:milestoneId
+ * @desc    Delete a milestone; its issues are kept without a milestone and
+ *          the change appears in each issue's history
+ * @access  Private (project maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:milestoneId", requireScope("issues:write"), authorize(PERMISSIONS.MILESTONE_MANAGE), async (req, res) => {
+  try {
+    const issues = await Issue.find({ milestone: req.milestone._id }).select('project');
+    const result = await Issue.updateMany(
+      { milestone: req.milestone._id },
+      { $set: { milestone: null } }
+    );
+    await req.milestone.deleteOne();
+
+    for (const issue of issues) {
+      await recordActivity({
+        issue: issue._id,
+        project: issue.project,
+        actor: req.user.id,
+        action: 'updated',
+        changes: [{ field: 'milestone', from: req.milestone._id.toString(), to: null }]
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Milestone deleted successfully",
+      data: { issuesDetached: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error deleting milestone:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete milestone",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/projects/:projectId/milestones/:milestoneId/issues
+ * @desc    List the issues of a milestone; accepts the same parameters as GET /api/issues
+ * @access  Private (project members)
+ * @scope   issues:read
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @returns {Object} Response with a page of issues, total count and next/prev links
+ */
+router.get("/:milestoneId/issues", requireScope("issues:read"), async (req, res) => {
+  try {
+    await sendIssueList(req, res, { project: req.project._id, milestone: req.milestone._id });
+  } catch (error) {
+    sendListError(res, error, "Failed to fetch milestone issues");
+  }
+});
+
+/**
+ * @route   GET /api/projects/:projectId/milestones/:milestoneId/burndown
+ * @desc    Daily burndown of a milestone, from its start date (or creation)
+ *   until today or the day it was closed
+ * @access  Private (project members)
+ * @scope   issues:read
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @returns {Object} Response with one point per day: date, total, completed,
+ *   remaining and the ideal remaining count (null without a due date)
+ */
+router.get("/:milestoneId/burndown", requireScope("issues:read"), async (req, res) => {
+  try {
+    const points = await getBurndown(req.milestone);
+
+    res.json({
+      success: true,
+      data: {
+        milestone: {
+          _id: req.milestone._id,
+          name: req.milestone.name,
+          startDate: req.milestone.startDate,
+          dueDate: req.milestone.dueDate,
+          state: req.milestone.state
+        },
+        points
+      }
+    });
+  } catch (error) {
+    console.error('Error building burndown:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build burndown",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:projectId/milestones/:milestoneId/close
+ * @desc    Close a milestone. If it still has unfinished issues, the request
+ *   must say what to do with them; without `moveTo` the response lists the
+ *   open milestones they can be moved to.
+ * @access  Private (project maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @body    {Object} { moveTo } - Open milestone ID to move unfinished issues to,
+ *   "backlog" to remove them from any milestone, or null to leave them
+ * @returns {Object} Response with the closed milestone and the number of moved issues
+ */
+router.post("/:milestoneId/close", requireScope("issues:write"), authorize(PERMISSIONS.MILESTONE_MANAGE), async (req, res) => {
+  try {
+    if (req.milestone.state === 'closed') {
+      return res.status(409).json({
+        success: false,
+        message: "Milestone is already closed"
+      });
+    }
+
+    const { moveTo } = req.body || {};
+    const unfinished = await Issue.find({
+      milestone: req.milestone._id,
+      status: { $nin: statusesIn('done') }
+    });
+
+    // Ask what to do with unfinished issues, offering the other open milestones
+    if (unfinished.length > 0 && moveTo === undefined) {
+      const options = await Milestone.find({
+        project: req.project._id,
+        state: 'open',
+        _id: { $ne: req.milestone._id }
+      })
+        .select('name dueDate')
+        .sort({ dueDate: 1, name: 1 });
+
+      return res.status(409).json({
+        success: false,
+        message: `Milestone has ${unfinished.length} unfinished issue(s); pass moveTo with a milestone ID, "backlog" or null`,
+        data: {
+          unfinished: unfinished.length,
+          milestones: options
+        }
+      });
+    }
+
+    let target = null;
+    if (moveTo !== undefined && moveTo !== null && moveTo !== 'backlog') {
+      target = isValidObjectId(moveTo)
+        ? await Milestone.findOne({ _id: moveTo, project: req.project._id, state: 'open' })
+        : null;
+      if (!target || target._id.equals(req.milestone._id)) {
+        return res.status(400).json({
+          success: false,
+          message: "moveTo must be another open milestone of this project, \"backlog\" or null"
+        });
+      }
+    }
+
+    // Move issues one by one so each change appears in the issue's history
+    let moved = 0;
+    if (moveTo !== undefined && moveTo !== null) {
+      for (const issue of unfinished) {
+        const before = issue.toObject();
+        issue.milestone = target ? target._id : null;
+        await issue.save();
+        await recordIssueChanges(before, issue, req.user.id);
+        moved++;
+      }
+    }
+
+    req.milestone.state = 'closed';
+    req.milestone.closedAt = new Date();
+    await req.milestone.save();
+    const [data] = await withProgress([req.milestone]);
+
+    res.json({
+      success: true,
+      message: "Milestone closed successfully",
+      data: {
+        ...data,
+        movedIssues: moved,
+        movedTo: target ? target._id : moveTo || null
+      }
+    });
+  } catch (error) {
+    console.error('Error closing milestone:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to close milestone",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:projectId/milestones/:milestoneId/reopen
+ * @desc    Reopen a closed milestone
+ * @access  Private (project maintainer, admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} milestoneId - Milestone ID
+ * @returns {Object} Response with the reopened milestone
+ */
+router.post("/:milestoneId/reopen", requireScope("issues:write"), authorize(PERMISSIONS.MILESTONE_MANAGE), async (req, res) => {
+  try {
+    if (req.milestone.state === 'open') {
+      return res.status(409).json({
+        success: false,
+        message: "Milestone is already open"
+      });
+    }
+
+    req.milestone.state = 'open';
+    req.milestone.closedAt = undefined;
+    await req.milestone.save();
+    const [data] = await withProgress([req.milestone]);
+
+    res.json({
+      success: true,
+      message: "Milestone reopened successfully",
+      data
+    });
+  } catch (error) {
+    console.error('Error reopening milestone:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reopen milestone",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
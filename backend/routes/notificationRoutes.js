@@ -0,0 +1,397 @@
+/**
+ * Notification Routes Module
+ *
+ * The in-app notification inbox of the current user: listing and
+ * counting notifications, marking them as read and choosing which
+ * events create them and how they are emailed. Notifications are created
+ * for the watchers of an issue when it changes (see utils/notifications).
+ * Unsubscribing from notification emails works without logging in.
+ *
+ * @module notificationRoutes
+ * @requires express
+ * @requires ../models/Notification
+ * @requires ../models/User
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../config/notifications
+ */
+
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { protect, requireScope } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { NOTIFICATION_TYPES, EMAIL_DELIVERY_MODES } = require("../config/notifications");
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/issueQuery");
+const { buildPageLink } = require("../utils/helpers");
+const { EMAIL_TEMPLATES, renderEmail, sampleData } = require("../utils/emailTemplates");
+const { verifyUnsubscribeToken, unsubscribeUrl, issueUrl } = require("../utils/emailNotifications");
+
+/**
+ * @route   POST /api/notifications/unsubscribe
+ * @desc    Turn notification emails off from the link in an email
+ * @access  Public (token from the email)
+ * @body    {Object} { token }
+ * @returns {Object} Response confirming the change
+ */
+router.post("/unsubscribe", async (req, res) => {
+  try {
+    const userId = verifyUnsubscribeToken((req.body || {}).token);
+    const user = userId
+      ? await User.findByIdAndUpdate(userId, { $set: { emailDelivery: 'off' } })
+      : null;
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Unsubscribe link is invalid"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "You will no longer receive notification emails"
+    });
+  } catch (error) {
+    console.error('Error unsubscribing from notification emails:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unsubscribe",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Apply authentication and account policy middleware to the remaining routes
+ */
+router.use(protect);
+router.use(enforceAccountPolicy);
+
+/**
+ * Current notification preferences of a user, with every type present
+ * @param {Object} user - User document
+ * @returns {Object} Whether each type is on, and emailDelivery
+ */
+const preferencesOf = (user) => ({
+  ...Object.fromEntries(NOTIFICATION_TYPES.map((type) => [
+    type,
+    !user.notificationPreferences || user.notificationPreferences[type] !== false
+  ])),
+  emailDelivery: user.emailDelivery || 'immediate'
+});
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List the current user's notifications, newest first
+ * @access  Private
+ * @scope   notifications:read
+ * @query   {boolean} [unread] - Only unread notifications when "true"
+ * @query   {number} [limit=20] - Page size (max 100)
+ * @query   {number} [page=1] - Page number
+ * @returns {Object} Response with a page of notifications, the total and
+ *   the number of unread notifications
+ */
+router.get("/", requireScope("notifications:read"), async (req, res) => {
+  try {
+    const limit = Number(req.query.limit || DEFAULT_LIMIT);
+    const page = Number(req.query.page || 1);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT ||
+        !Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_LIMIT} and page a positive integer`
+      });
+    }
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'name email')
+        .populate('issue', 'title status project'),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      data: notifications,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      },
+      links: {
+        self: buildPageLink(req, {}),
+        next: page * limit < total ? buildPageLink(req, { page: page + 1 }) : null,
+        prev: page > 1 ? buildPageLink(req, { page: page - 1 }) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Count the current user's unread notifications
+ * @access  Private
+ * @scope   notifications:read
+ * @returns {Object} Response with the unread count
+ */
+router.get("/unread-count", requireScope("notifications:read"), async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({
+      success: true,
+      data: { unreadCount }
+    });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to count notifications",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get which events create notifications for the current user
+ *          and how they are emailed
+ * @access  Private
+ * @scope   notifications:read
+ * @returns {Object} Response with one boolean per notification type and
+ *   emailDelivery (immediate, daily or off)
+ */
+router.get("/preferences", requireScope("notifications:read"), async (req, res) => {
+  res.json({
+    success: true,
+    data: preferencesOf(req.user)
+  });
+});
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Turn notification types on or off for the current user and
+ *          choose how they are emailed
+ * @access  Private
+ * @scope   notifications:write
+ * @body    {Object} Booleans keyed by type (status_change, comment,
+ *   assignment, mention) and emailDelivery (immediate, daily or off);
+ *   settings left out are kept
+ * @returns {Object} Response with the updated preferences
+ */
+router.put("/preferences", requireScope("notifications:write"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const errors = [];
+    for (const [type, value] of Object.entries(body)) {
+      if (type === 'emailDelivery') {
+        if (!EMAIL_DELIVERY_MODES.includes(value)) {
+          errors.push(`emailDelivery must be one of: ${EMAIL_DELIVERY_MODES.join(', ')}`);
+        }
+      } else if (!NOTIFICATION_TYPES.includes(type)) {
+        errors.push(`Unknown notification type '${type}'. Expected one of: ${NOTIFICATION_TYPES.join(', ')}`);
+      } else if (typeof value !== 'boolean') {
+        errors.push(`${type} must be true or false`);
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors
+      });
+    }
+
+    const updates = Object.fromEntries(Object.entries(body)
+      .map(([type, value]) => [type === 'emailDelivery' ? type : `notificationPreferences.${type}`, value]));
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated",
+      data: preferencesOf(user)
+    });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification preferences",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notifications/email-templates
+ * @desc    List the notification email templates
+ * @access  Private
+ * @scope   notifications:read
+ * @returns {Object} Response with template names and their preview links
+ */
+router.get("/email-templates", requireScope("notifications:read"), async (req, res) => {
+  res.json({
+    success: true,
+    data: EMAIL_TEMPLATES.map((name) => ({
+      name,
+      preview: `${req.baseUrl}/email-templates/${name}`
+    }))
+  });
+});
+
+/**
+ * @route   GET /api/notifications/email-templates/:name
+ * @desc    Render a notification email template with example data,
+ *          addressed to the current user. Nothing is sent.
+ * @access  Private
+ * @scope   notifications:read
+ * @param   {string} name - Template name (assignment, status_change,
+ *   comment, mention or digest)
+ * @query   {string} [format] - "html" or "text" to get that body alone,
+ *   ready to open in a browser
+ * @returns {Object} Response with subject, text and html, or the body alone
+ */
+router.get("/email-templates/:name", requireScope("notifications:read"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { format } = req.query;
+
+    if (!EMAIL_TEMPLATES.includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown email template. Expected one of: ${EMAIL_TEMPLATES.join(', ')}`
+      });
+    }
+    if (format !== undefined && !['html', 'text'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be html or text"
+      });
+    }
+
+    const email = renderEmail(name, sampleData(name, {
+      recipient: { name: req.user.name },
+      issue: { title: 'Login page crashes on submit', url: issueUrl('000000000000000000000000') },
+      unsubscribeUrl: unsubscribeUrl(req.user._id)
+    }));
+
+    if (format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(`Subject: ${email.subject}\n\n${email.text}`);
+    }
+    res.json({
+      success: true,
+      data: { template: name, ...email }
+    });
+  } catch (error) {
+    console.error('Error rendering email template:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to render email template",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all of the current user's notifications as read
+ * @access  Private
+ * @scope   notifications:write
+ * @returns {Object} Response with the number of notifications marked
+ */
+router.post("/read-all", requireScope("notifications:write"), async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { marked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private (recipient)
+ * @scope   notifications:write
+ * @param   {string} id - Notification ID
+ * @returns {Object} Response with the notification
+ */
+router.post("/:id/read", requireScope("notifications:write"), async (req, res) => {
+  try {
+    const notificationId = req.params.id;
+
+    // Validate ObjectId format
+    if (!notificationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID format"
+      });
+    }
+
+    // Other users' notifications are reported as missing
+    const notification = await Notification.findOne({ _id: notificationId, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification
+    });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
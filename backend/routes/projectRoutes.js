@@ -0,0 +1,407 @@
+/**
+ * Project Routes Module
+ *
+ * Endpoints for creating projects and managing their members. Users only
+ * see the projects they are a member of; global admins see all of them.
+ * The issues of a project are served by the issue routes mounted at
+ * /api/projects/:projectId/issues.
+ *
+ * @module projectRoutes
+ * @requires express
+ * @requires ../models/Project
+ * @requires ../models/Milestone
+ * @requires ../models/Issue-final
+ * @requires ../models/User
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../middleware/projectAccess
+ * @requires ../config/roles
+ */
+
+const express = require("express");
+const router = express.Router();
+const Project = require("../models/Project");
+const Milestone = require("../models/Milestone");
+const Issue = require("../models/Issue-final");
+const User = require("../models/User");
+const { protect, authorize, requireScope } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { loadProject } = require("../middleware/projectAccess");
+const { ROLES, PERMISSIONS, hasPermission } = require("../config/roles");
+
+/**
+ * Apply authentication and account policy middleware to all routes
+ */
+router.use(protect);
+router.use(enforceAccountPolicy);
+
+/**
+ * Send the response for a failed project change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const sendProjectError = (res, error, message) => {
+  // Duplicate project key
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A project with this key already exists"
+    });
+  }
+
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Check that a requested project role is valid
+ * @param {Object} res - Express response
+ * @param {*} role - Role from the request body
+ * @returns {boolean} True if a 400 response was sent
+ */
+const rejectInvalidRole = (res, role) => {
+  if (ROLES.includes(role)) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: `Role must be one of: ${ROLES.join(', ')}`
+  });
+  return true;
+};
+
+/**
+ * Count the members with the admin role in a project
+ * @param {Object} project - Project document
+ * @returns {number} Number of project admins
+ */
+const countAdmins = (project) => project.members.filter((member) => member.role === 'admin').length;
+
+/**
+ * @route   GET /api/projects
+ * @desc    List the projects the current user can see
+ * @access  Private
+ * @scope   issues:read
+ * @returns {Object} Response with array of projects and the user's role in each
+ */
+router.get("/", requireScope("issues:read"), async (req, res) => {
+  try {
+    const projectIds = await Project.visibleIdsFor(req.user);
+    const projects = await Project.find(projectIds ? { _id: { $in: projectIds } } : {})
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: projects.length,
+      data: projects.map((project) => ({
+        _id: project._id,
+        name: project.name,
+        key: project.key,
+        description: project.description,
+        memberCount: project.members.length,
+        role: project.roleOf(req.user),
+        createdAt: project.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch projects",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects
+ * @desc    Create a project; the creator becomes its admin
+ * @access  Private (maintainer, admin)
+ * @scope   issues:write
+ * @body    {Object} Project data (name, key, description)
+ * @returns {Object} Response with created project
+ */
+router.post("/", requireScope("issues:write"), authorize(PERMISSIONS.PROJECT_CREATE), async (req, res) => {
+  try {
+    const { name, key, description } = req.body;
+
+    const project = await Project.create({
+      name,
+      key,
+      description,
+      members: [{ user: req.user._id, role: 'admin' }],
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Project created successfully",
+      data: project
+    });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to create project");
+  }
+});
+
+/**
+ * @route   GET /api/projects/:projectId
+ * @desc    Get a project with its members
+ * @access  Private (project members)
+ * @scope   issues:read
+ * @param   {string} projectId - Project ID
+ * @returns {Object} Response with project details
+ */
+router.get("/:projectId", requireScope("issues:read"), loadProject, async (req, res) => {
+  try {
+    await req.project.populate('members.user', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        ...req.project.toObject(),
+        role: req.projectRole
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch project",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:projectId
+ * @desc    Change a project's name, key or description
+ * @access  Private (project admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @body    {Object} Updated project data (name, key, description)
+ * @returns {Object} Response with updated project
+ */
+router.put("/:projectId", requireScope("issues:write"), loadProject, authorize(PERMISSIONS.PROJECT_MANAGE), async (req, res) => {
+  try {
+    for (const field of ['name', 'key', 'description']) {
+      if (req.body[field] !== undefined) {
+        req.project[field] = req.body[field];
+      }
+    }
+    await req.project.save();
+
+    res.json({
+      success: true,
+      message: "Project updated successfully",
+      data: req.project
+    });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to update project");
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:projectId
+ * @desc    Delete an empty project and its milestones
+ * @access  Private (admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:projectId", requireScope("issues:write"), loadProject, async (req, res) => {
+  try {
+    // Project admins manage a project, but only global admins remove one
+    if (!hasPermission(req.user.role, PERMISSIONS.PROJECT_MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action"
+      });
+    }
+
+    const issueCount = await Issue.countDocuments({ project: req.project._id });
+    if (issueCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Project still has ${issueCount} issue(s); move or delete them first`
+      });
+    }
+
+    await Milestone.deleteMany({ project: req.project._id });
+    await req.project.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Project deleted successfully"
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete project",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/projects/:projectId/members
+ * @desc    Add a member to a project
+ * @access  Private (project admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @body    {Object} { userId, role } where role defaults to reporter
+ * @returns {Object} Response with updated member list
+ */
+router.post("/:projectId/members", requireScope("issues:write"), loadProject, authorize(PERMISSIONS.PROJECT_MANAGE), async (req, res) => {
+  try {
+    const { userId, role = 'reporter' } = req.body;
+
+    if (typeof userId !== 'string' || !userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+    if (rejectInvalidRole(res, role)) {
+      return;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (req.project.memberFor(user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: "User is already a member of this project"
+      });
+    }
+
+    req.project.members.push({ user: user._id, role });
+    await req.project.save();
+    await req.project.populate('members.user', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: req.project.members
+    });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to add member");
+  }
+});
+
+/**
+ * @route   PUT /api/projects/:projectId/members/:userId
+ * @desc    Change a member's project role
+ * @access  Private (project admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} userId - Member's user ID
+ * @body    {Object} { role }
+ * @returns {Object} Response with updated member list
+ */
+router.put("/:projectId/members/:userId", requireScope("issues:write"), loadProject, authorize(PERMISSIONS.PROJECT_MANAGE), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (rejectInvalidRole(res, role)) {
+      return;
+    }
+
+    const member = req.project.memberFor(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this project"
+      });
+    }
+
+    // Keep at least one project admin
+    if (member.role === 'admin' && role !== 'admin' && countAdmins(req.project) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot demote the last admin of the project"
+      });
+    }
+
+    member.role = role;
+    await req.project.save();
+    await req.project.populate('members.user', 'name email');
+
+    res.json({
+      success: true,
+      message: "Member role updated successfully",
+      data: req.project.members
+    });
+  } catch (error) {
+    sendProjectError(res, error, "Failed to update member");
+  }
+});
+
+/**
+ * @route   DELETE /api/projects/:projectId/members/:userId
+ * @desc    Remove a member from a project
+ * @access  Private (project admin)
+ * @scope   issues:write
+ * @param   {string} projectId - Project ID
+ * @param   {string} userId - Member's user ID
+ * @returns {Object} Response with updated member list
+ */
+router.delete("/:projectId/members/:userId", requireScope("issues:write"), loadProject, authorize(PERMISSIONS.PROJECT_MANAGE), async (req, res) => {
+  try {
+    const member = req.project.memberFor(req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this project"
+      });
+    }
+
+    // Keep at least one project admin
+    if (member.role === 'admin' && countAdmins(req.project) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot remove the last admin of the project"
+      });
+    }
+
+    req.project.members = req.project.members.filter((entry) => entry !== member);
+    await req.project.save();
+    await req.project.populate('members.user', 'name email');
+
+    res.json({
+      success: true,
+      message: "Member removed successfully",
+      data: req.project.members
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove member",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
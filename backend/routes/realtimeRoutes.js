@@ -0,0 +1,206 @@
+/**
+ * Real-time Routes Module
+ *
+ * Server-Sent Events stream of issue, comment and notification events,
+ * so clients do not have to poll. Clients choose channels when they
+ * connect; events come from utils/realtime. The stream accepts the same
+ * JWT or personal access token as the other routes, in the Authorization
+ * header or, for EventSource, in the access_token query parameter.
+ *
+ * @module realtimeRoutes
+ * @requires express
+ * @requires ../models/Issue-final
+ * @requires ../models/Project
+ * @requires ../models/User
+ * @requires ../models/Session
+ * @requires ../models/PersonalAccessToken
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../utils/realtime
+ */
+
+const express = require("express");
+const router = express.Router();
+const Issue = require("../models/Issue-final");
+const Project = require("../models/Project");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const PersonalAccessToken = require("../models/PersonalAccessToken");
+const config = require("../config/config");
+const { protect, tokenFromQuery } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { addClient, removeClient, refreshAccess } = require("../utils/realtime");
+
+// Most single-issue channels one connection may follow
+const MAX_ISSUE_CHANNELS = 50;
+
+// Delay browsers wait before reconnecting a dropped stream, in milliseconds
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Apply authentication and account policy middleware to all routes
+ */
+router.use(tokenFromQuery);
+router.use(protect);
+router.use(enforceAccountPolicy);
+
+/**
+ * Parse the channels query parameter
+ * @param {string} value - Comma-separated channels
+ * @returns {Object} { channels: { issues, issueIds, notifications }, errors }
+ */
+const parseChannels = (value) => {
+  const channels = { issues: false, issueIds: new Set(), notifications: false };
+  const errors = [];
+
+  for (const name of String(value || '').split(',').map((part) => part.trim()).filter(Boolean)) {
+    if (name === 'issues') {
+      channels.issues = true;
+    } else if (name === 'notifications') {
+      channels.notifications = true;
+    } else if (name.startsWith('issue:') && name.slice(6).match(/^[0-9a-fA-F]{24}$/)) {
+      channels.issueIds.add(name.slice(6).toLowerCase());
+    } else {
+      errors.push(`Unknown channel '${name}'. Use issues, issue:<issueId> or notifications`);
+    }
+  }
+  if (!channels.issues && !channels.notifications && channels.issueIds.size === 0 && errors.length === 0) {
+    errors.push('Choose at least one channel: issues, issue:<issueId> or notifications');
+  }
+  if (channels.issueIds.size > MAX_ISSUE_CHANNELS) {
+    errors.push(`At most ${MAX_ISSUE_CHANNELS} issue channels can be followed at once`);
+  }
+  return { channels, errors };
+};
+
+/**
+ * Check that the login or token behind a request is still valid
+ * @param {Object} req - Authenticated request
+ * @returns {Promise<boolean>} True if the stream may stay open
+ */
+const accessIsValid = async (req) => {
+  const credential = req.auth.type === 'session'
+    ? await Session.findById(req.auth.sessionId)
+    : await PersonalAccessToken.findById(req.auth.tokenId);
+  return Boolean(credential && credential.isActive() && await User.exists({ _id: req.user._id }));
+};
+
+/**
+ * @route   GET /api/realtime
+ * @desc    Open a Server-Sent Events stream. Events are named issue.created,
+ *          issue.updated, issue.deleted, comment.created and
+ *          notification.created; their data is JSON of the form
+ *          { event, createdAt, data }. A "ready" event confirms the channels.
+ * @access  Private
+ * @scope   issues:read for issue channels, notifications:read for notifications
+ * @query   {string} channels - Comma-separated: issues (every issue you can
+ *   see), issue:<issueId> (one issue) and notifications (your notifications)
+ * @query   {string} [access_token] - Token, when no Authorization header can be sent
+ * @returns {Stream} text/event-stream
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { channels, errors } = parseChannels(req.query.channels);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid channels",
+        errors
+      });
+    }
+
+    // Access tokens need the scope of every channel they follow
+    if (req.auth.type === 'token') {
+      const needed = [];
+      if (channels.issues || channels.issueIds.size > 0) {
+        needed.push('issues:read');
+      }
+      if (channels.notifications) {
+        needed.push('notifications:read');
+      }
+      const missing = needed.filter((scope) => !req.auth.scopes.includes(scope));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Access token is missing the required scope: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    // Single issues must exist in a project the user can see
+    if (channels.issueIds.size > 0) {
+      const issues = await Issue.find({ _id: { $in: [...channels.issueIds] } }).select('project');
+      const projects = await Project.find({ _id: { $in: issues.map((issue) => issue.project) } }).select('members');
+      const visible = new Set(projects
+        .filter((project) => project.roleOf(req.user))
+        .map((project) => project._id.toString()));
+      const found = new Set(issues
+        .filter((issue) => visible.has(issue.project.toString()))
+        .map((issue) => issue._id.toString()));
+      const missing = [...channels.issueIds].filter((id) => !found.has(id));
+      if (missing.length > 0) {
+        return res.status(404).json({
+          success: false,
+          message: `Issue not found: ${missing.join(', ')}`
+        });
+      }
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const client = addClient({
+      user: req.user,
+      channels,
+      send,
+      checkAccess: () => accessIsValid(req),
+      close: () => res.end()
+    });
+
+    // Comments keep idle connections from being closed by proxies. Access
+    // is checked on the way, so quiet streams also end once it is revoked.
+    const heartbeat = setInterval(async () => {
+      try {
+        if (await refreshAccess(client)) {
+          res.write(': keep-alive\n\n');
+        }
+      } catch (error) {
+        console.error('Error checking real-time stream access:', error);
+      }
+    }, config.realtime.heartbeatSeconds * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      removeClient(client);
+    });
+
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+    send('ready', {
+      channels: [
+        ...(channels.issues ? ['issues'] : []),
+        ...[...channels.issueIds].map((id) => `issue:${id}`),
+        ...(channels.notifications ? ['notifications'] : [])
+      ]
+    });
+  } catch (error) {
+    console.error('Error opening real-time stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to open real-time stream",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,403 @@
+/**
+ * User Administration Routes Module
+ *
+ * Endpoints for listing users, managing their roles, lifting login
+ * lockouts and configuring the account security policy, plus username
+ * suggestions for @mentions. Access is governed by the permissions
+ * defined in config/roles. Profile pictures are public so that they can
+ * be shown in img tags.
+ *
+ * @module userRoutes
+ * @requires express
+ * @requires ../models/User
+ * @requires ../models/Project
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../config/roles
+ * @requires ../utils/loginThrottle
+ * @requires ../utils/settings
+ * @requires ../utils/avatars
+ * @requires ../utils/storage
+ * @requires ../utils/searchQuery
+ * @requires ../utils/helpers
+ */
+
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const Project = require("../models/Project");
+const { protect, authorize, sessionOnly } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const loginThrottle = require("../utils/loginThrottle");
+const { getSetting, updateSetting } = require("../utils/settings");
+const { avatarSizes, avatarKey } = require("../utils/avatars");
+const { getSignedUrl } = require("../utils/storage");
+const { escapeRegex } = require("../utils/searchQuery");
+const { isValidObjectId } = require("../utils/helpers");
+const config = require("../config/config");
+
+/**
+ * @route   GET /api/users/:id/avatar
+ * @desc    Redirect to a user's profile picture, through a signed link
+ *          that expires after STORAGE_SIGNED_URL_TTL_SECONDS. The link in
+ *          the user's profilePicture points here.
+ * @access  Public
+ * @param   {string} id - User ID
+ * @query   {number} [size] - Thumbnail size (32, 64 or 128 by default);
+ *   the full picture if omitted
+ * @returns {Redirect} Redirect to the WebP image
+ */
+router.get("/:id/avatar", async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const size = req.query.size === undefined ? config.avatars.size : Number(req.query.size);
+
+    // Validate ObjectId format
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+    if (!avatarSizes().includes(size)) {
+      return res.status(400).json({
+        success: false,
+        message: `size must be one of: ${avatarSizes().join(', ')}`
+      });
+    }
+
+    const user = await User.findById(userId).select('+profilePictureKey');
+    if (!user || !user.profilePictureKey) {
+      return res.status(404).json({
+        success: false,
+        message: "Profile picture not found"
+      });
+    }
+
+    const link = await getSignedUrl(avatarKey(user.profilePictureKey, size), { contentType: 'image/webp' });
+
+    // Browsers may reuse the redirect while the signed link is still valid
+    res.set('Cache-Control', `private, max-age=${Math.floor(config.storage.signedUrlTtlSeconds / 2)}`);
+    res.redirect(link.url);
+  } catch (error) {
+    console.error('Error fetching profile picture:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch profile picture",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Apply authentication and account policy middleware to all routes.
+ * User administration is not available to personal access tokens.
+ */
+router.use(protect);
+router.use(sessionOnly);
+router.use(enforceAccountPolicy);
+
+/**
+ * Number of users suggested by default, and at most, by autocomplete
+ */
+const AUTOCOMPLETE_LIMIT = 10;
+const AUTOCOMPLETE_MAX_LIMIT = 25;
+
+/**
+ * @route   GET /api/users/autocomplete
+ * @desc    Suggest users to @mention, matching the start of their
+ *          username or of a word of their name. Only users who can be
+ *          mentioned are suggested: members of the given project, or of
+ *          any project the current user can see, and global admins.
+ * @access  Private
+ * @query   {string} [q] - Start of the username or name; a leading @ is ignored
+ * @query   {string} [project] - Project ID to suggest members of
+ * @query   {number} [limit=10] - Maximum number of users (max 25)
+ * @returns {Object} Response with array of users (_id, username, name,
+ *   profilePicture) sorted by username
+ */
+router.get("/autocomplete", async (req, res) => {
+  try {
+    const text = String(req.query.q || '').trim().replace(/^@/, '');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || AUTOCOMPLETE_LIMIT, 1), AUTOCOMPLETE_MAX_LIMIT);
+    const projectId = req.query.project;
+
+    if (projectId !== undefined && !isValidObjectId(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid project ID format"
+      });
+    }
+
+    // Members of the project, or of every project the user can see
+    let memberIds;
+    if (projectId) {
+      const project = await Project.findById(projectId).select('members');
+      if (!project || !project.roleOf(req.user)) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found"
+        });
+      }
+      memberIds = project.members.map((member) => member.user);
+    } else {
+      const projectIds = await Project.visibleIdsFor(req.user);
+      memberIds = projectIds
+        ? await Project.find({ _id: { $in: projectIds } }).distinct('members.user')
+        : null;
+    }
+
+    const conditions = [{ username: { $ne: null } }];
+    if (memberIds) {
+      // Global admins can see every project, so they can be mentioned too
+      conditions.push({ $or: [{ _id: { $in: memberIds } }, { role: 'admin' }] });
+    }
+    if (text) {
+      conditions.push({
+        $or: [
+          { username: new RegExp(`^${escapeRegex(text)}`, 'i') },
+          { name: new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i') }
+        ]
+      });
+    }
+
+    const users = await User.find({ $and: conditions })
+      .select('username name profilePicture')
+      .sort({ username: 1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error suggesting users:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to suggest users",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users
+ * @desc    List users, optionally filtered by role
+ * @access  Private (maintainer, admin)
+ * @query   {string} [role] - Only return users with this role
+ * @returns {Object} Response with array of users
+ */
+router.get("/", authorize(PERMISSIONS.USER_READ), async (req, res) => {
+  try {
+    const { role } = req.query;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const users = await User.find(role ? { role } : {})
+      .select('name username email role profilePicture createdAt')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch users",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/security-policy
+ * @desc    Get the account security policy
+ * @access  Private (admin)
+ * @returns {Object} Response with the security settings
+ */
+router.get("/security-policy", authorize(PERMISSIONS.USER_MANAGE), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSetting('security')
+    });
+  } catch (error) {
+    console.error('Error fetching security policy:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch security policy",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/security-policy
+ * @desc    Choose which roles must use two-factor authentication
+ * @access  Private (admin)
+ * @body    {Object} { requireTwoFactorRoles: string[] }
+ * @returns {Object} Response with the updated security settings
+ */
+router.put("/security-policy", authorize(PERMISSIONS.USER_MANAGE), async (req, res) => {
+  try {
+    const { requireTwoFactorRoles } = req.body;
+
+    if (!Array.isArray(requireTwoFactorRoles) ||
+        requireTwoFactorRoles.some((role) => !ROLES.includes(role))) {
+      return res.status(400).json({
+        success: false,
+        message: `requireTwoFactorRoles must be a list of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Keep admins from locking themselves out of this endpoint
+    if (requireTwoFactorRoles.includes(req.user.role) && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Enable two-factor authentication on your own account first"
+      });
+    }
+
+    const security = await updateSetting(
+      'security',
+      { requireTwoFactorRoles: [...new Set(requireTwoFactorRoles)] },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: "Security policy updated successfully",
+      data: security
+    });
+  } catch (error) {
+    console.error('Error updating security policy:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update security policy",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin)
+ * @param   {string} id - User ID
+ * @body    {Object} { role }
+ * @returns {Object} Response with updated user
+ */
+router.put("/:id/role", authorize(PERMISSIONS.USER_MANAGE), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    // Validate ObjectId format
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    // Never leave the system without an administrator
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot remove the role of the last admin"
+        });
+      }
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      { role },
+      { new: true, runValidators: true }
+    ).select('name username email role profilePicture createdAt');
+
+    res.json({
+      success: true,
+      message: "User role updated successfully",
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user role",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Lift a login lockout caused by repeated failed attempts
+ * @access  Private (admin)
+ * @param   {string} id - User ID
+ * @returns {Object} Response confirming the unlock
+ */
+router.post("/:id/unlock", authorize(PERMISSIONS.USER_MANAGE), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    // Validate ObjectId format
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format"
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    await loginThrottle.unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: "User account unlocked successfully"
+    });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unlock user",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,483 @@
+/**
+ * Webhook Routes Module
+ *
+ * Endpoints for managing webhook subscriptions, reading their delivery
+ * logs, redelivering events and sending test pings. Deliveries themselves
+ * are made by utils/webhooks. Only admins can manage webhooks, and not
+ * with personal access tokens.
+ *
+ * @module webhookRoutes
+ * @requires express
+ * @requires ../models/Webhook
+ * @requires ../models/WebhookDelivery
+ * @requires ../models/Project
+ * @requires ../middleware/auth
+ * @requires ../middleware/accountPolicy
+ * @requires ../config/roles
+ * @requires ../utils/webhooks
+ */
+
+const express = require("express");
+const router = express.Router();
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const Project = require("../models/Project");
+const { protect, authorize, sessionOnly } = require("../middleware/auth");
+const { enforceAccountPolicy } = require("../middleware/accountPolicy");
+const { PERMISSIONS } = require("../config/roles");
+const { WEBHOOK_EVENTS } = require("../config/webhooks");
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/issueQuery");
+const { generateRandomToken, buildPageLink } = require("../utils/helpers");
+const { sendPing, redeliver } = require("../utils/webhooks");
+
+// Shortest secret accepted when one is provided
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Apply authentication, session and account policy middleware to all
+ * routes. Every route requires the webhook:manage permission.
+ */
+router.use(protect);
+router.use(sessionOnly);
+router.use(enforceAccountPolicy);
+router.use(authorize(PERMISSIONS.WEBHOOK_MANAGE));
+
+/**
+ * Load the webhook named in the route, answering 400 or 404 if there is none
+ */
+router.param("id", async (req, res, next, id) => {
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid webhook ID format"
+    });
+  }
+
+  req.webhook = await Webhook.findById(id);
+  if (!req.webhook) {
+    return res.status(404).json({
+      success: false,
+      message: "Webhook not found"
+    });
+  }
+  next();
+});
+
+/**
+ * Check the fields of a webhook that the model cannot check by itself
+ * @param {Object} data - Webhook fields from the request
+ * @returns {Promise<string|null>} Error message, or null if valid
+ */
+const checkWebhookData = async (data) => {
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events)) {
+      return "events must be an array";
+    }
+    const unknown = data.events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Expected some of: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < MIN_SECRET_LENGTH)) {
+    return `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`;
+  }
+  if (data.project) {
+    if (!String(data.project).match(/^[0-9a-fA-F]{24}$/) || !await Project.exists({ _id: data.project })) {
+      return "Project not found";
+    }
+  }
+  return null;
+};
+
+/**
+ * Send the response for a failed webhook change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while saving
+ * @param {string} message - Message for unexpected errors
+ */
+const sendWebhookError = (res, error, message) => {
+  // Handle validation errors
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: validationErrors
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    List webhooks
+ * @access  Private (admin)
+ * @returns {Object} Response with array of webhooks (without secrets)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('project', 'name key')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks,
+      events: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhooks",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Create a webhook. A secret is generated when none is given.
+ * @access  Private (admin)
+ * @body    {Object} { name, url, events, project, active, secret }
+ * @returns {Object} Response with the webhook, including its secret this once
+ */
+router.post("/", async (req, res) => {
+  try {
+    const { name, url, events, project, active, secret } = req.body;
+
+    const dataError = await checkWebhookData({ events, project, secret });
+    if (dataError) {
+      return res.status(400).json({
+        success: false,
+        message: dataError
+      });
+    }
+
+    const webhook = await Webhook.create({
+      name,
+      url,
+      events,
+      project: project || null,
+      active,
+      secret: secret || generateRandomToken(),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook created successfully. Store the secret now; it will not be shown again.",
+      data: { ...webhook.toObject(), secret: webhook.secret }
+    });
+  } catch (error) {
+    sendWebhookError(res, error, "Failed to create webhook");
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a webhook with counts of its deliveries by status
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @returns {Object} Response with the webhook
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: req.webhook._id } },
+      { $group: { _id: "$status", count: { $sum: 1 } } }
+    ]);
+    const deliveries = { pending: 0, succeeded: 0, failed: 0 };
+    for (const { _id, count } of counts) {
+      deliveries[_id] = count;
+    }
+
+    await req.webhook.populate('project', 'name key');
+    res.json({
+      success: true,
+      data: { ...req.webhook.toObject(), deliveries }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook. Giving a secret replaces the current one.
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @body    {Object} Any of { name, url, events, project, active, secret }
+ * @returns {Object} Response with the updated webhook
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const allowed = ['name', 'url', 'events', 'project', 'active', 'secret'];
+    const updates = Object.fromEntries(Object.entries(req.body)
+      .filter(([field]) => allowed.includes(field)));
+
+    const dataError = await checkWebhookData(updates);
+    if (dataError) {
+      return res.status(400).json({
+        success: false,
+        message: dataError
+      });
+    }
+    if (updates.project === '') {
+      updates.project = null;
+    }
+
+    req.webhook.set(updates);
+    await req.webhook.save();
+
+    res.json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: { ...req.webhook.toObject(), secret: undefined }
+    });
+  } catch (error) {
+    sendWebhookError(res, error, "Failed to update webhook");
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook and its delivery log
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @returns {Object} Response confirming deletion
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    await WebhookDelivery.deleteMany({ webhook: req.webhook._id });
+    await req.webhook.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Webhook deleted successfully"
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete webhook",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/ping
+ * @desc    Send a test "ping" event to a webhook. It is attempted once,
+ *          even if the webhook is not subscribed to any event yet.
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @returns {Object} Response with the delivery and its attempt
+ */
+router.post("/:id/ping", async (req, res) => {
+  try {
+    if (!req.webhook.active) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook is disabled; enable it before sending a ping"
+      });
+    }
+
+    const delivery = await sendPing(req.webhook, req.user);
+
+    res.json({
+      success: true,
+      message: delivery.status === 'succeeded' ? "Ping delivered" : "Ping could not be delivered",
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error pinging webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to ping webhook",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Delivery log of a webhook, newest first. Payloads are left out;
+ *          get a single delivery to see its payload.
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @query   {string} [status] - pending, succeeded or failed
+ * @query   {string} [event] - Event name
+ * @query   {number} [limit=20] - Page size (max 100)
+ * @query   {number} [page=1] - Page number
+ * @returns {Object} Response with a page of deliveries
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const { status, event } = req.query;
+    const limit = Number(req.query.limit || DEFAULT_LIMIT);
+    const page = Number(req.query.page || 1);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT ||
+        !Number.isInteger(page) || page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: `limit must be between 1 and ${MAX_LIMIT} and page a positive integer`
+      });
+    }
+
+    const filter = { webhook: req.webhook._id };
+    if (status) {
+      if (!['pending', 'succeeded', 'failed'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "status must be pending, succeeded or failed"
+        });
+      }
+      filter.status = status;
+    }
+    if (event) {
+      filter.event = String(event);
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      total,
+      data: deliveries,
+      pagination: {
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      },
+      links: {
+        self: buildPageLink(req, {}),
+        next: page * limit < total ? buildPageLink(req, { page: page + 1 }) : null,
+        prev: page > 1 ? buildPageLink(req, { page: page - 1 }) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook deliveries",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Find a delivery of the webhook in the route
+ * @param {Object} req - Express request with req.webhook
+ * @returns {Promise<Object|null|undefined>} Delivery, null if not found,
+ *   or undefined if the ID is malformed
+ */
+const findDelivery = async (req) => {
+  const { deliveryId } = req.params;
+  if (!deliveryId.match(/^[0-9a-fA-F]{24}$/)) {
+    return undefined;
+  }
+  return WebhookDelivery.findOne({ _id: deliveryId, webhook: req.webhook._id });
+};
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries/:deliveryId
+ * @desc    Get a delivery with its payload and every attempt
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @param   {string} deliveryId - Delivery ID
+ * @returns {Object} Response with the delivery
+ */
+router.get("/:id/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(delivery === undefined ? 400 : 404).json({
+        success: false,
+        message: delivery === undefined ? "Invalid delivery ID format" : "Delivery not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook delivery",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Send the payload of a delivery again as a new delivery, which
+ *          is retried like any other
+ * @access  Private (admin)
+ * @param   {string} id - Webhook ID
+ * @param   {string} deliveryId - Delivery to repeat
+ * @returns {Object} Response with the new delivery after its first attempt
+ */
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(delivery === undefined ? 400 : 404).json({
+        success: false,
+        message: delivery === undefined ? "Invalid delivery ID format" : "Delivery not found"
+      });
+    }
+    if (!req.webhook.active) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook is disabled; enable it before redelivering"
+      });
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    res.status(201).json({
+      success: true,
+      message: {
+        succeeded: "Event redelivered",
+        pending: "Redelivery failed; it will be retried",
+        failed: "Redelivery failed"
+      }[redelivery.status],
+      data: redelivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to redeliver",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
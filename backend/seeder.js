@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
-const Issue = require('./models/Issue');
+const Issue = require('./models/Issue-final');
+const Comment = require('./models/Comment');
+const Label = require('./models/Label');
+const Project = require('./models/Project');
+const Activity = require('./models/Activity');
 const User = require('./models/User');
 require('dotenv').config();
 
@@ -95,25 +99,31 @@ const issues = [
   }
 ];
 
+// Colors used for the labels created from the sample tags
+const labelColors = ['#d73a4a', '#0075ca', '#a2eeef', '#7057ff', '#008672', '#e4e669', '#d876e3', '#fbca04'];
+
 // Sample users data
 const users = [
   {
     name: "Admin User",
     email: "admin@issuetracker.com",
     password: "admin123",
-    role: "admin"
+    role: "admin",
+    emailVerified: true
   },
   {
     name: "John Doe",
     email: "john@example.com",
     password: "password123",
-    role: "user"
+    role: "reporter",
+    emailVerified: true
   },
   {
     name: "Jane Smith",
     email: "jane@example.com",
     password: "password123",
-    role: "user"
+    role: "maintainer",
+    emailVerified: true
   }
 ];
 
@@ -137,16 +147,53 @@ const importData = async () => {
     await connectDB();
     
     // Clear existing data
+    await Activity.deleteMany();
+    await Comment.deleteMany();
     await Issue.deleteMany();
+    await Label.deleteMany();
+    await Project.deleteMany();
     await User.deleteMany();
     
     console.log('Existing data cleared');
     
-    // Insert sample data
-    await User.insertMany(users);
+    // Insert sample data. Users are created one by one so their
+    // passwords are hashed.
+    const createdUsers = [];
+    for (const user of users) {
+      createdUsers.push(await User.create(user));
+    }
     console.log('Users imported successfully');
     
-    await Issue.insertMany(issues);
+    // All sample issues belong to one project that every user is a member of
+    const project = await Project.create({
+      name: 'Issue Tracker',
+      key: 'TRACK',
+      description: 'Sample project',
+      members: createdUsers.map((user) => ({ user: user._id, role: user.role })),
+      createdBy: createdUsers[0]._id
+    });
+    console.log('Project imported successfully');
+    
+    const tagNames = [...new Set(issues.flatMap((issue) => issue.tags))];
+    const labels = await Label.insertMany(tagNames.map((name, index) => ({
+      name,
+      color: labelColors[index % labelColors.length]
+    })));
+    console.log('Labels imported successfully');
+    
+    // Link the sample names to users and tags to labels. Reporters without
+    // an account are attributed to the admin.
+    const userByName = new Map(createdUsers.map((user) => [user.name, user]));
+    const labelByName = new Map(labels.map((label) => [label.name, label]));
+    const admin = createdUsers.find((user) => user.role === 'admin');
+    
+    await Issue.insertMany(issues.map(({ tags, reporter, assignee, ...issue }) => ({
+      ...issue,
+      author: (userByName.get(reporter) || admin)._id,
+      project: project._id,
+      assignees: userByName.has(assignee) ? [userByName.get(assignee)._id] : [],
+      labels: tags.map((tag) => labelByName.get(tag)._id)
+    })));
     console.log('Issues imported successfully');
     
     console.log('Data import completed successfully');
@@ -162,7 +209,11 @@ const deleteData = async () => {
   try {
     await connectDB();
     
+    await Activity.deleteMany();
+    await Comment.deleteMany();
     await Issue.deleteMany();
+    await Label.deleteMany();
+    await Project.deleteMany();
     await User.deleteMany();
     
     console.log('Data deleted successfully');
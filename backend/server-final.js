@@ -6,7 +6,10 @@
  * 
  * Features:
  * - Authentication with JWT
- * - Issue CRUD operations
+ * - Role-based access control (admin, maintainer, reporter)
+ * - Issue CRUD operations, grouped into projects
+ * - Milestones with progress and burndown tracking
+ * - Due dates and SLA tracking
  * - File upload for profile pictures
  * - CORS configuration for frontend integration
  * - Environment-based configuration
@@ -19,20 +22,38 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const path = require("path");
 
 // Load environment variables
 require("dotenv").config();
 
 // Import routes
-const issueRoutes = require("./routes/issueRoutes");
+const issueRoutes = require("./routes/issueRoutes-final");
 const authRoutes = require("./routes/authRoutes");
+const userRoutes = require("./routes/userRoutes");
+const labelRoutes = require("./routes/labelRoutes");
+const projectRoutes = require("./routes/projectRoutes");
+const milestoneRoutes = require("./routes/milestoneRoutes");
+const notificationRoutes = require("./routes/notificationRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const realtimeRoutes = require("./routes/realtimeRoutes");
+const fileRoutes = require("./routes/fileRoutes");
 
 // Import middleware
 const errorHandler = require("./middleware/errorHandler");
 
+// Import background jobs
+const config = require("./config/config");
+const { startSlaSweeper } = require("./utils/slaSweeper");
+const { startNotifications } = require("./utils/notifications");
+const { startEmailNotifications, startDigestScheduler } = require("./utils/emailNotifications");
+const { startWebhooks, startWebhookRetries } = require("./utils/webhooks");
+const { startRealtime } = require("./utils/realtime");
+
 const app = express();
 
+// Behind a reverse proxy, take the client address from X-Forwarded-For
+app.set('trust proxy', config.app.trustProxy);
+
 /**
  * CORS Configuration
  * Allows requests from development frontend servers
@@ -53,9 +74,6 @@ app.use(cors(corsOptions));
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Request logging middleware (development)
 if (process.env.NODE_ENV !== 'production') {
   app.use((req, res, next) => {
@@ -75,6 +93,15 @@ const connectDatabase = async () => {
       useUnifiedTopology: true,
     });
     console.log("✅ MongoDB connected successfully");
+    
+    // Keep stored SLA states current as deadlines pass
+    startSlaSweeper(config.sla.sweepIntervalSeconds);
+    
+    // Send daily notification digests
+    startDigestScheduler();
+    
+    // Retry failed webhook deliveries
+    startWebhookRetries(config.webhooks.retryIntervalSeconds);
   } catch (error) {
     console.error("❌ MongoDB connection error:", error.message);
     process.exit(1);
@@ -84,11 +111,30 @@ const connectDatabase = async () => {
 // Initialize database connection
 connectDatabase();
 
+// Notify watchers of issue activity, in the app and by email
+startNotifications();
+startEmailNotifications();
+
+// Send issue events to webhooks
+startWebhooks();
+
+// Push issue and notification events to connected clients
+startRealtime();
+
 /**
  * API Routes
  */
 app.use("/api/issues", issueRoutes);
+app.use("/api/projects/:projectId/issues", issueRoutes);
+app.use("/api/projects/:projectId/milestones", milestoneRoutes);
+app.use("/api/projects", projectRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/api/files", fileRoutes);
 
 /**
  * Health Check Endpoint
@@ -118,6 +164,13 @@ app.get('/', (req, res) => {
     endpoints: {
       issues: '/api/issues',
       auth: '/api/auth',
+      users: '/api/users',
+      labels: '/api/labels',
+      projects: '/api/projects',
+      milestones: '/api/projects/:projectId/milestones',
+      notifications: '/api/notifications',
+      webhooks: '/api/webhooks',
+      realtime: '/api/realtime',
       health: '/api/health'
     },
     documentation: 'See README.md for API documentation'
@@ -127,7 +180,7 @@ app.get('/', (req, res) => {
 /**
  * 404 Handler for undefined routes
  */
-app.use('*', (req, res) => {
+app.use((req, res) => {
   res.status(404).json({
     success: false,
     message: `Route ${req.originalUrl} not found`
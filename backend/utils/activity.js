@@ -0,0 +1,127 @@
+/**
+ * Issue activity log
+ *
+ * Records who did what to an issue: creation, field changes with their
+ * old and new values, assignments, comments and deletion. Entries are
+ * stored in the Activity collection and read back by the history and
+ * timeline endpoints.
+ *
+ * A failure to write an entry is logged but does not fail the request
+ * that caused it, since the change itself has already been saved. Each
+ * entry written is emitted as an 'activity' event (see utils/events) for
+ * features such as notifications.
+ *
+ * @module utils/activity
+ */
+
+const Activity = require('../models/Activity');
+const events = require('./events');
+
+/**
+ * Issue fields whose changes are recorded. Assignee changes are recorded
+ * separately as 'assigned' and 'unassigned' entries.
+ * @type {string[]}
+ */
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'severity',
+  'category',
+  'labels',
+  'milestone',
+  'dueDate'
+];
+
+// Convert a field value to a plain value that can be stored and compared:
+// ObjectIds become strings and arrays are sorted
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize).sort();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') {
+    return value.toString();
+  }
+  return value === undefined ? null : value;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two versions of an issue
+ * @param {Object} before - Issue values before the change
+ * @param {Object} after - Issue values after the change
+ * @param {string[]} [fields=TRACKED_FIELDS] - Fields to compare
+ * @returns {Object[]} Changes as [{ field, from, to }]
+ */
+const diffIssue = (before, after, fields = TRACKED_FIELDS) => fields
+  .map((field) => ({
+    field,
+    from: normalize(before[field]),
+    to: normalize(after[field])
+  }))
+  .filter((change) => !isEqual(change.from, change.to));
+
+/**
+ * Write an activity entry
+ * @param {Object} entry - Activity fields (issue, project, actor, action, changes, users, comment)
+ * @returns {Promise<Object|null>} Created entry, or null if it could not be written
+ */
+const recordActivity = async (entry) => {
+  let activity;
+  try {
+    activity = await Activity.create(entry);
+  } catch (error) {
+    console.error(`Error recording '${entry.action}' activity for issue ${entry.issue}:`, error);
+    return null;
+  }
+  events.emit('activity', activity);
+  return activity;
+};
+
+/**
+ * Record the changes between two versions of an issue: one 'updated'
+ * entry for field changes plus 'assigned' / 'unassigned' entries for
+ * assignee changes
+ * @param {Object} before - Issue values before the change
+ * @param {Object} after - Saved issue
+ * @param {string} actor - ID of the user who made the change
+ * @returns {Promise<Object[]>} Created entries
+ */
+const recordIssueChanges = async (before, after, actor) => {
+  const entries = [];
+  const base = { issue: after._id, project: after.project, actor };
+
+  const changes = diffIssue(before, after);
+  if (changes.length > 0) {
+    entries.push({ ...base, action: 'updated', changes });
+  }
+
+  const previous = normalize(before.assignees || []);
+  const current = normalize(after.assignees || []);
+  const added = current.filter((id) => !previous.includes(id));
+  const removed = previous.filter((id) => !current.includes(id));
+  if (added.length > 0) {
+    entries.push({ ...base, action: 'assigned', users: added });
+  }
+  if (removed.length > 0) {
+    entries.push({ ...base, action: 'unassigned', users: removed });
+  }
+
+  const recorded = [];
+  for (const entry of entries) {
+    recorded.push(await recordActivity(entry));
+  }
+  return recorded.filter(Boolean);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffIssue,
+  recordActivity,
+  recordIssueChanges
+};
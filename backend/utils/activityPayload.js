@@ -0,0 +1,62 @@
+/**
+ * Activity event payloads
+ *
+ * Describes an activity entry as an event for outside listeners such as
+ * webhooks and real-time clients, with the issue, the user who acted and
+ * the details of the change.
+ *
+ * @module utils/activityPayload
+ */
+
+const Issue = require('../models/Issue-final');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { ISSUE_POPULATE } = require('./issueList');
+
+/**
+ * Build the payload of an event from an activity entry
+ * @param {string} event - Event name
+ * @param {Object} activity - Activity document
+ * @returns {Promise<Object>} { event, createdAt, data }
+ */
+const buildActivityPayload = async (event, activity) => {
+  const [actor, issue, comment] = await Promise.all([
+    User.findById(activity.actor).select('name email').lean(),
+    Issue.findById(activity.issue).populate(ISSUE_POPULATE).lean(),
+    activity.comment
+      ? Comment.findById(activity.comment).populate('author', 'name email').lean()
+      : null
+  ]);
+
+  const data = {
+    action: activity.action,
+    actor,
+    // A deleted issue is described by the final values kept in the activity
+    issue: issue || {
+      _id: activity.issue,
+      project: activity.project,
+      ...Object.fromEntries(activity.changes.map((change) => [change.field, change.from]))
+    }
+  };
+  if (activity.action === 'updated') {
+    data.changes = activity.changes;
+  }
+  if (['assigned', 'unassigned'].includes(activity.action)) {
+    data.users = activity.users;
+  }
+  if (['linked', 'unlinked'].includes(activity.action)) {
+    data.link = activity.link;
+  }
+  if (activity.action === 'referenced') {
+    data.source = activity.source;
+  }
+  if (comment) {
+    data.comment = comment;
+  }
+
+  return { event, createdAt: activity.createdAt, data };
+};
+
+module.exports = {
+  buildActivityPayload
+};
@@ -0,0 +1,190 @@
+/**
+ * Attachment storage
+ *
+ * Receives files uploaded to issues and comments and keeps them in file
+ * storage (see utils/storage) under random keys, with their metadata in
+ * the Attachment model. The type of a file is worked out from its
+ * contents, and only types in ATTACHMENT_ALLOWED_TYPES and files up to
+ * ATTACHMENT_MAX_SIZE_MB are accepted. Images are stored without their
+ * metadata. Files are never served statically: the issue routes check
+ * access to the issue and then hand out a signed, expiring link.
+ *
+ * @module utils/attachments
+ */
+
+const crypto = require('crypto');
+const multer = require('multer');
+const config = require('../config/config');
+const Attachment = require('../models/Attachment');
+const { generateRandomToken } = require('./helpers');
+const { getStorage, getSignedUrl } = require('./storage');
+const { INVALID_CONTENT, detectContentType, stripMetadata } = require('./images');
+
+// Multipart field the files are sent in
+const UPLOAD_FIELD = 'files';
+
+// Error code of files rejected for their content type
+const TYPE_NOT_ALLOWED = 'ATTACHMENT_TYPE_NOT_ALLOWED';
+
+// Files are kept in memory until their contents have been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.attachments.maxFileSizeMb * 1024 * 1024,
+    files: config.attachments.maxFilesPerUpload
+  }
+});
+
+/**
+ * Receive the files of a multipart request into req.files
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const receiveAttachments = (req, res) => new Promise((resolve, reject) => {
+  upload.array(UPLOAD_FIELD, config.attachments.maxFilesPerUpload)(req, res, (error) => {
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  });
+});
+
+/**
+ * Describe an upload error for the client
+ * @param {Error} error - Error from receiveAttachments or saveAttachments
+ * @returns {Object|null} { status, message }, or null if the error is not
+ *   caused by the upload itself
+ */
+const uploadErrorResponse = (error) => {
+  if (error.code === TYPE_NOT_ALLOWED || error.code === INVALID_CONTENT) {
+    return { status: 415, message: error.message };
+  }
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return { status: 413, message: `Files may be at most ${config.attachments.maxFileSizeMb} MB` };
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return {
+        status: 400,
+        message: `Send up to ${config.attachments.maxFilesPerUpload} files in the '${UPLOAD_FIELD}' field`
+      };
+    }
+    return { status: 400, message: error.message };
+  }
+  return null;
+};
+
+/**
+ * Storage key of an attachment's file
+ * @param {Object} attachment - Attachment document, with storedName selected
+ * @returns {string} Storage key
+ */
+const attachmentKey = (attachment) => `attachments/${attachment.storedName}`;
+
+/**
+ * Create an expiring download link for an attachment
+ * @param {Object} attachment - Attachment document, with storedName selected
+ * @returns {Promise<Object>} { url, expiresAt }
+ */
+const attachmentUrl = (attachment) => getSignedUrl(attachmentKey(attachment), {
+  filename: attachment.filename,
+  contentType: attachment.contentType
+});
+
+// Check the type of a received file and prepare what will be stored
+const prepareFile = async (file) => {
+  // Busboy reads header parameters as latin1; browsers send UTF-8
+  const filename = Buffer.from(file.originalname, 'latin1').toString('utf8');
+
+  const contentType = detectContentType(file.buffer, file.mimetype);
+  if (!contentType) {
+    const error = new Error(`The contents of ${filename} do not match its type ${file.mimetype}`);
+    error.code = INVALID_CONTENT;
+    throw error;
+  }
+  if (!config.attachments.allowedTypes.includes(contentType)) {
+    const error = new Error(`Files of type ${contentType} are not allowed. Allowed types: ${config.attachments.allowedTypes.join(', ')}`);
+    error.code = TYPE_NOT_ALLOWED;
+    throw error;
+  }
+
+  const data = await stripMetadata(file.buffer, contentType);
+  return {
+    filename,
+    contentType,
+    data,
+    size: data.length,
+    checksum: crypto.createHash('sha256').update(data).digest('hex')
+  };
+};
+
+/**
+ * Check received files, store them and record them as attachments.
+ * Nothing is kept if any file is refused.
+ * @param {Object[]} files - req.files
+ * @param {Object} options
+ * @param {Object} options.issue - Issue document the files belong to
+ * @param {ObjectId} [options.comment] - Comment the files belong to
+ * @param {ObjectId} options.uploadedBy - Uploading user
+ * @returns {Promise<Object[]>} Created attachments
+ */
+const saveAttachments = async (files, { issue, comment = null, uploadedBy }) => {
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareFile(file));
+  }
+
+  const storage = getStorage();
+  const stored = [];
+  try {
+    for (const { filename, contentType, data, size, checksum } of prepared) {
+      const storedName = generateRandomToken(16);
+      await storage.put(attachmentKey({ storedName }), data, { contentType });
+      stored.push({
+        issue: issue._id,
+        comment,
+        project: issue.project,
+        filename,
+        storedName,
+        contentType,
+        size,
+        checksum,
+        uploadedBy
+      });
+    }
+    return await Attachment.insertMany(stored);
+  } catch (error) {
+    await Promise.all(stored.map((attachment) => storage.remove(attachmentKey(attachment)).catch(() => {})));
+    throw error;
+  }
+};
+
+/**
+ * Delete attachments and their files
+ * @param {Object} filter - MongoDB filter selecting the attachments
+ * @returns {Promise<number>} Number of attachments deleted
+ */
+const removeAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('+storedName');
+  if (attachments.length === 0) {
+    return 0;
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+  const storage = getStorage();
+  await Promise.all(attachments.map((attachment) => storage.remove(attachmentKey(attachment)).catch((error) => {
+    console.error(`Could not remove the file of attachment ${attachment._id}:`, error.message);
+  })));
+  return attachments.length;
+};
+
+module.exports = {
+  UPLOAD_FIELD,
+  receiveAttachments,
+  uploadErrorResponse,
+  attachmentUrl,
+  saveAttachments,
+  removeAttachments
+};
@@ -0,0 +1,91 @@
+/**
+ * Profile pictures
+ *
+ * Stores profile pictures in file storage (see utils/storage) as a square
+ * WebP picture plus thumbnails in the sizes of config.avatars. The
+ * versions of one picture share a base key, kept in the user's
+ * profilePictureKey; profilePicture holds the public link
+ * /api/users/:id/avatar, which redirects to a signed link of the file.
+ *
+ * @module utils/avatars
+ */
+
+const config = require('../config/config');
+const { generateRandomToken } = require('./helpers');
+const { getStorage } = require('./storage');
+const { avatarVersions } = require('./images');
+
+// Prefix of profile pictures stored before file storage was added, when
+// they were served statically from the uploads directory
+const LEGACY_PREFIX = '/uploads/';
+
+/**
+ * Sizes a profile picture is available in
+ * @returns {number[]} Full size first, then thumbnail sizes
+ */
+const avatarSizes = () => [config.avatars.size, ...config.avatars.thumbnailSizes];
+
+/**
+ * Storage key of one version of a profile picture
+ * @param {string} base - Base key from profilePictureKey
+ * @param {number} [size] - Thumbnail size; the full picture if omitted
+ * @returns {string} Storage key
+ */
+const avatarKey = (base, size = config.avatars.size) =>
+  size === config.avatars.size ? `${base}.webp` : `${base}-${size}.webp`;
+
+/**
+ * Public link of a profile picture. It changes with every new picture so
+ * that cached pictures are not shown after a change.
+ * @param {ObjectId} userId - User ID
+ * @param {string} base - Base key from profilePictureKey
+ * @returns {string} Link relative to the API
+ */
+const profilePictureUrl = (userId, base) => `/api/users/${userId}/avatar?v=${base.split('-').pop()}`;
+
+/**
+ * Process an uploaded picture and store it with its thumbnails
+ * @param {ObjectId} userId - Owner of the picture
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<string>} Base key of the stored picture
+ */
+const saveAvatar = async (userId, buffer) => {
+  const versions = await avatarVersions(buffer);
+  const base = `profile-pictures/${userId}-${generateRandomToken(8)}`;
+  const storage = getStorage();
+
+  const stored = [];
+  try {
+    for (const { size, data } of versions) {
+      await storage.put(avatarKey(base, size), data, { contentType: 'image/webp' });
+      stored.push(avatarKey(base, size));
+    }
+  } catch (error) {
+    await Promise.all(stored.map((key) => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+  return base;
+};
+
+/**
+ * Remove the stored files of a user's profile picture
+ * @param {Object} user - User document, with profilePictureKey selected
+ * @returns {Promise<void>}
+ */
+const removeAvatar = async (user) => {
+  const storage = getStorage();
+  if (user.profilePictureKey) {
+    await Promise.all(avatarSizes().map((size) => storage.remove(avatarKey(user.profilePictureKey, size))));
+  } else if (user.profilePicture && user.profilePicture.startsWith(LEGACY_PREFIX)) {
+    await storage.remove(user.profilePicture.slice(LEGACY_PREFIX.length));
+  }
+};
+
+module.exports = {
+  LEGACY_PREFIX,
+  avatarSizes,
+  avatarKey,
+  profilePictureUrl,
+  saveAvatar,
+  removeAvatar
+};
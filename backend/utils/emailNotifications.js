@@ -0,0 +1,264 @@
+/**
+ * Notification emails
+ *
+ * Emails in-app notifications to their recipients according to each
+ * user's email delivery setting:
+ * - `immediate`: every notification is emailed as it is created
+ * - `daily`: unread notifications are collected into one digest a day,
+ *   sent at MAIL_DIGEST_HOUR (UTC)
+ * - `off`: nothing is emailed
+ *
+ * Only verified addresses receive notification emails. Every email
+ * carries an unsubscribe link that switches delivery off without logging
+ * in. Sending failures are logged and never affect the in-app
+ * notification.
+ *
+ * @module utils/emailNotifications
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const events = require('./events');
+const { sendMail } = require('./mailer');
+const { renderEmail } = require('./emailTemplates');
+
+const UNSUBSCRIBE_PURPOSE = 'email-unsubscribe';
+
+// How often the digest scheduler checks for due digests
+const DIGEST_CHECK_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create the token of a user's unsubscribe link. It does not expire and
+ * only allows turning notification emails off.
+ * @param {ObjectId} userId - User ID
+ * @returns {string} Signed token
+ */
+const createUnsubscribeToken = (userId) => jwt.sign(
+  { id: userId.toString(), purpose: UNSUBSCRIBE_PURPOSE },
+  process.env.JWT_SECRET
+);
+
+/**
+ * Read the user ID from an unsubscribe token
+ * @param {string} token - Token from an unsubscribe link
+ * @returns {string|null} User ID, or null if the token is not valid
+ */
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === UNSUBSCRIBE_PURPOSE ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Link that turns notification emails off for a user
+ * @param {ObjectId} userId - User ID
+ * @returns {string} URL on the frontend
+ */
+const unsubscribeUrl = (userId) => `${config.app.frontendUrl}/unsubscribe?token=${createUnsubscribeToken(userId)}`;
+
+/**
+ * Link to an issue on the frontend
+ * @param {ObjectId} issueId - Issue ID
+ * @returns {string} URL
+ */
+const issueUrl = (issueId) => `${config.app.frontendUrl}/issues/${issueId}`;
+
+// Populate a notification with what its email shows
+const NOTIFICATION_POPULATE = [
+  { path: 'actor', select: 'name' },
+  { path: 'issue', select: 'title description' },
+  { path: 'comment', select: 'content' },
+  {
+    path: 'activity',
+    select: 'changes users comment',
+    populate: { path: 'comment', select: 'content' }
+  }
+];
+
+/**
+ * Build the template data of a populated notification
+ * @param {Object} notification - Notification populated with NOTIFICATION_POPULATE
+ * @param {Object} recipient - Recipient user
+ * @returns {Object} Template data
+ */
+const notificationData = (notification, recipient) => {
+  const { activity } = notification;
+  const data = {
+    recipient: { name: recipient.name },
+    actor: { name: notification.actor ? notification.actor.name : 'Someone' },
+    issue: { title: notification.issue.title, url: issueUrl(notification.issue._id) },
+    unsubscribeUrl: unsubscribeUrl(recipient._id)
+  };
+
+  switch (notification.type) {
+    case 'assignment':
+      data.assignedToYou = Boolean(activity && activity.users.some((id) => id.equals(recipient._id)));
+      break;
+    case 'status_change': {
+      const change = activity && activity.changes.find((entry) => entry.field === 'status');
+      data.from = change ? change.from : '';
+      data.to = change ? change.to : '';
+      break;
+    }
+    case 'comment':
+      data.comment = activity && activity.comment ? activity.comment.content : '';
+      break;
+    case 'mention':
+      // Mentions outside comments are in the issue description
+      data.comment = notification.comment ? notification.comment.content : notification.issue.description;
+      break;
+    default:
+      break;
+  }
+  return data;
+};
+
+// Headers that let mail clients offer their own unsubscribe button
+const unsubscribeHeaders = (userId) => ({ 'List-Unsubscribe': `<${unsubscribeUrl(userId)}>` });
+
+/**
+ * Email a notification to a recipient who chose immediate delivery
+ * @param {Object} notification - Notification document
+ * @returns {Promise<boolean>} True if an email was sent
+ */
+const emailNotification = async (notification) => {
+  const recipient = await User.findById(notification.recipient).select('name email emailVerified emailDelivery');
+  if (!recipient || !recipient.emailVerified || recipient.emailDelivery !== 'immediate') {
+    return false;
+  }
+
+  const populated = await Notification.findById(notification._id).populate(NOTIFICATION_POPULATE);
+  if (!populated || !populated.issue) {
+    return false;
+  }
+
+  await sendMail({
+    to: recipient.email,
+    ...renderEmail(populated.type, notificationData(populated, recipient)),
+    headers: unsubscribeHeaders(recipient._id)
+  });
+  await Notification.updateOne({ _id: populated._id }, { $set: { emailedAt: new Date() } });
+  return true;
+};
+
+/**
+ * Most recent scheduled digest time at or before a moment
+ * @param {Date} now - Reference time
+ * @returns {Date} Today's digest hour if it has passed, else yesterday's
+ */
+const latestDigestTime = (now) => {
+  const time = new Date(now);
+  time.setUTCHours(config.mail.digestHour, 0, 0, 0);
+  if (time > now) {
+    time.setUTCDate(time.getUTCDate() - 1);
+  }
+  return time;
+};
+
+/**
+ * Send the daily digest to every user who chose it and has not had one
+ * since the last digest time. A digest lists the user's notifications
+ * from the last day that are still unread and were not emailed; users
+ * without any get no email.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} { users, sent }: users checked and digests sent
+ */
+const sendDigests = async (now = new Date()) => {
+  const due = latestDigestTime(now);
+  const users = await User.find({
+    emailDelivery: 'daily',
+    emailVerified: true,
+    $or: [{ emailDigestSentAt: null }, { emailDigestSentAt: { $lt: due } }]
+  }).select('name email emailDigestSentAt');
+
+  let sent = 0;
+  for (const user of users) {
+    try {
+      const dayBefore = new Date(due.getTime() - DAY_MS);
+      const since = user.emailDigestSentAt && user.emailDigestSentAt > dayBefore
+        ? user.emailDigestSentAt
+        : dayBefore;
+      const notifications = await Notification.find({
+        recipient: user._id,
+        readAt: null,
+        emailedAt: null,
+        createdAt: { $gte: since, $lte: now }
+      })
+        .sort({ createdAt: 1 })
+        .populate({ path: 'issue', select: 'title' });
+      const items = notifications
+        .filter((notification) => notification.issue)
+        .map((notification) => ({
+          message: notification.message,
+          issue: { title: notification.issue.title, url: issueUrl(notification.issue._id) },
+          createdAt: notification.createdAt
+        }));
+
+      if (items.length > 0) {
+        await sendMail({
+          to: user.email,
+          ...renderEmail('digest', {
+            recipient: { name: user.name },
+            items,
+            unsubscribeUrl: unsubscribeUrl(user._id)
+          }),
+          headers: unsubscribeHeaders(user._id)
+        });
+        await Notification.updateMany(
+          { _id: { $in: notifications.map((notification) => notification._id) } },
+          { $set: { emailedAt: now } }
+        );
+        sent++;
+      }
+      await User.updateOne({ _id: user._id }, { $set: { emailDigestSentAt: now } }, { timestamps: false });
+    } catch (error) {
+      console.error(`Error sending the notification digest of user ${user._id}:`, error);
+    }
+  }
+  return { users: users.length, sent };
+};
+
+/**
+ * Email notifications with immediate delivery as they are created
+ */
+const startEmailNotifications = () => {
+  events.on('notification', (notification) => {
+    emailNotification(notification).catch((error) => {
+      console.error(`Error emailing notification ${notification._id}:`, error);
+    });
+  });
+};
+
+/**
+ * Check for due digests at a fixed interval. The timer does not keep
+ * the process alive.
+ * @returns {NodeJS.Timeout} Timer, for clearInterval
+ */
+const startDigestScheduler = () => {
+  const timer = setInterval(() => {
+    sendDigests().catch((error) => {
+      console.error('Notification digest run failed:', error);
+    });
+  }, DIGEST_CHECK_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  issueUrl,
+  emailNotification,
+  latestDigestTime,
+  sendDigests,
+  startEmailNotifications,
+  startDigestScheduler
+};
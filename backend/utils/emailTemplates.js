@@ -0,0 +1,174 @@
+/**
+ * Email templates
+ *
+ * Renders notification emails as a subject with plain-text and HTML
+ * bodies. There is one template per notification type plus the daily
+ * digest; all values are escaped in the HTML body. Every email ends with
+ * a link to turn notification emails off.
+ *
+ * @module utils/emailTemplates
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Longest comment excerpt quoted in an email
+const EXCERPT_LENGTH = 500;
+
+const excerpt = (text) => {
+  const value = String(text || '').trim();
+  return value.length > EXCERPT_LENGTH ? `${value.slice(0, EXCERPT_LENGTH)}…` : value;
+};
+
+// Wrap the body of an email in the shared layout
+const layout = (data, { text, html }) => ({
+  text: `Hi ${data.recipient.name},\n\n${text}\n\n` +
+    `--\nYou are receiving this because of your Issue Tracker notification settings.\n` +
+    `Stop these emails: ${data.unsubscribeUrl}`,
+  html: '<!DOCTYPE html><html><body style="font-family: sans-serif; color: #24292f;">' +
+    `<p>Hi ${escapeHtml(data.recipient.name)},</p>${html}` +
+    '<hr style="border: none; border-top: 1px solid #d0d7de;">' +
+    '<p style="font-size: 12px; color: #57606a;">' +
+    'You are receiving this because of your Issue Tracker notification settings. ' +
+    `<a href="${escapeHtml(data.unsubscribeUrl)}">Stop these emails</a>.</p>` +
+    '</body></html>'
+});
+
+const issueLink = (issue) => `<a href="${escapeHtml(issue.url)}">${escapeHtml(issue.title)}</a>`;
+
+const quote = (text) => '<blockquote style="margin: 0; padding-left: 12px; border-left: 3px solid #d0d7de;">' +
+  `${escapeHtml(text).replace(/\n/g, '<br>')}</blockquote>`;
+
+/**
+ * Templates by name. Each receives the template data and returns
+ * { subject, text, html }.
+ *
+ * Data shared by all templates: recipient { name }, unsubscribeUrl, and
+ * except for the digest, actor { name } and issue { title, url }.
+ * @type {Object<string, Function>}
+ */
+const TEMPLATES = {
+  // assignedToYou: whether the recipient is one of the assigned users
+  assignment: (data) => ({
+    subject: data.assignedToYou
+      ? `You were assigned to "${data.issue.title}"`
+      : `Assignees changed on "${data.issue.title}"`,
+    ...layout(data, {
+      text: data.assignedToYou
+        ? `${data.actor.name} assigned you to "${data.issue.title}".\n\n${data.issue.url}`
+        : `${data.actor.name} changed the assignees of "${data.issue.title}".\n\n${data.issue.url}`,
+      html: data.assignedToYou
+        ? `<p>${escapeHtml(data.actor.name)} assigned you to ${issueLink(data.issue)}.</p>`
+        : `<p>${escapeHtml(data.actor.name)} changed the assignees of ${issueLink(data.issue)}.</p>`
+    })
+  }),
+
+  // from, to: previous and new status
+  status_change: (data) => ({
+    subject: `"${data.issue.title}" is now ${data.to}`,
+    ...layout(data, {
+      text: `${data.actor.name} moved "${data.issue.title}" from ${data.from} to ${data.to}.\n\n${data.issue.url}`,
+      html: `<p>${escapeHtml(data.actor.name)} moved ${issueLink(data.issue)} ` +
+        `from <strong>${escapeHtml(data.from)}</strong> to <strong>${escapeHtml(data.to)}</strong>.</p>`
+    })
+  }),
+
+  // comment: text of the comment
+  comment: (data) => ({
+    subject: `New comment on "${data.issue.title}"`,
+    ...layout(data, {
+      text: `${data.actor.name} commented on "${data.issue.title}":\n\n` +
+        `${excerpt(data.comment).replace(/^/gm, '> ')}\n\n${data.issue.url}`,
+      html: `<p>${escapeHtml(data.actor.name)} commented on ${issueLink(data.issue)}:</p>` +
+        quote(excerpt(data.comment))
+    })
+  }),
+
+  // comment: text the recipient was mentioned in
+  mention: (data) => ({
+    subject: `${data.actor.name} mentioned you on "${data.issue.title}"`,
+    ...layout(data, {
+      text: `${data.actor.name} mentioned you on "${data.issue.title}":\n\n` +
+        `${excerpt(data.comment).replace(/^/gm, '> ')}\n\n${data.issue.url}`,
+      html: `<p>${escapeHtml(data.actor.name)} mentioned you on ${issueLink(data.issue)}:</p>` +
+        quote(excerpt(data.comment))
+    })
+  }),
+
+  // items: [{ message, issue: { title, url }, createdAt }], oldest first
+  digest: (data) => ({
+    subject: `${data.items.length} issue update${data.items.length === 1 ? '' : 's'} from the last day`,
+    ...layout(data, {
+      text: `Here is what happened on the issues you watch:\n\n` +
+        data.items.map((item) => `- ${item.message}\n  ${item.issue.url}`).join('\n'),
+      html: '<p>Here is what happened on the issues you watch:</p><ul>' +
+        data.items.map((item) => `<li>${escapeHtml(item.message)} ` +
+          `(<a href="${escapeHtml(item.issue.url)}">view</a>)</li>`).join('') +
+        '</ul>'
+    })
+  })
+};
+
+/**
+ * Names of the available templates
+ * @type {string[]}
+ */
+const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+/**
+ * Render a template
+ * @param {string} name - Template name (EMAIL_TEMPLATES)
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ * @throws {Error} If the template does not exist
+ */
+const renderEmail = (name, data) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+/**
+ * Example data for previewing a template
+ * @param {string} name - Template name
+ * @param {Object} base - Values of the real recipient: recipient, unsubscribeUrl
+ *   and an example issue { title, url }
+ * @returns {Object} Template data
+ */
+const sampleData = (name, base) => {
+  const actor = { name: 'Jamie Doe' };
+  const comment = 'I can reproduce this on the latest build.\nIt only happens after logging out and back in.';
+
+  switch (name) {
+    case 'assignment':
+      return { ...base, actor, assignedToYou: true };
+    case 'status_change':
+      return { ...base, actor, from: 'Open', to: 'In Progress' };
+    case 'comment':
+    case 'mention':
+      return { ...base, actor, comment };
+    case 'digest':
+      return {
+        ...base,
+        items: [
+          { message: `Jamie Doe commented on "${base.issue.title}"`, issue: base.issue, createdAt: new Date() },
+          { message: `Jamie Doe moved "${base.issue.title}" from Open to In Progress`, issue: base.issue, createdAt: new Date() }
+        ]
+      };
+    default:
+      return base;
+  }
+};
+
+module.exports = {
+  EMAIL_TEMPLATES,
+  escapeHtml,
+  renderEmail,
+  sampleData
+};
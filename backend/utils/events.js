@@ -0,0 +1,18 @@
+/**
+ * Application events
+ *
+ * In-process event bus that lets features react to changes without the
+ * routes knowing about them. Listeners must handle their own errors.
+ *
+ * Events:
+ * - `activity` (Activity document): an entry was added to an issue's history
+ * - `notification` (Notification document): a notification was created
+ *
+ * @module utils/events
+ */
+
+const { EventEmitter } = require('events');
+
+const events = new EventEmitter();
+
+module.exports = events;
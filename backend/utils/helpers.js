@@ -0,0 +1,61 @@
+/**
+ * Shared helper functions
+ *
+ * @module utils/helpers
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically random token
+ * @param {number} [bytes=32] - Number of random bytes
+ * @returns {string} Hex-encoded token
+ */
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * Hash a token for storage. Tokens are stored hashed so that a database
+ * leak does not expose usable credentials.
+ * @param {string} token - Plain token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check whether a string is a valid MongoDB ObjectId
+ * @param {string} id - Value to check
+ * @returns {boolean} True if the value is a 24 character hex string
+ */
+const isValidObjectId = (id) => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+/**
+ * Build a link to the current endpoint with some query parameters changed
+ * @param {Object} req - Express request
+ * @param {Object} changes - Parameters to set; null or undefined removes them
+ * @returns {string} Path and query string
+ */
+const buildPageLink = (req, changes) => {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(req.query)) {
+    if (!(key in changes)) {
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+  }
+  for (const [key, value] of Object.entries(changes)) {
+    if (value !== null && value !== undefined) {
+      params.set(key, String(value));
+    }
+  }
+
+  const path = `${req.baseUrl}${req.path === '/' ? '' : req.path}`;
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  isValidObjectId,
+  buildPageLink
+};
@@ -0,0 +1,149 @@
+/**
+ * Upload content checks and image processing
+ *
+ * Works out the type of uploaded files from their contents instead of the
+ * type the client claims, and re-encodes images with sharp so that EXIF
+ * and other metadata (camera details, GPS position) are not kept. Profile
+ * pictures are also resized and given square thumbnails.
+ *
+ * @module utils/images
+ */
+
+const sharp = require('sharp');
+const config = require('../config/config');
+
+// Leading bytes of the binary formats that are recognized
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+  { type: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], offset8: [0x57, 0x45, 0x42, 0x50] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] }
+];
+
+// Types whose signature is known; files claiming them must match it
+const SIGNED_TYPES = new Set(SIGNATURES.map((signature) => signature.type));
+
+// Images that are re-encoded to remove their metadata
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Error code of files that are not what they claim, or broken images
+const INVALID_CONTENT = 'INVALID_CONTENT';
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Whether a buffer holds UTF-8 text
+const isText = (buffer) => {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Whether a type is a kind of text
+const isTextType = (type) => type.startsWith('text/') || /^application\/([\w.+-]+\+)?(json|xml)$/.test(type);
+
+/**
+ * Work out the type of a file from its contents
+ * @param {Buffer} buffer - File contents
+ * @param {string} declared - Type sent by the client
+ * @returns {string|null} Content type to store, or null if the contents
+ *   contradict the declared type
+ */
+const detectContentType = (buffer, declared) => {
+  const claimed = String(declared || '').toLowerCase();
+
+  const signature = SIGNATURES.find((candidate) => startsWith(buffer, candidate.bytes) &&
+    (!candidate.offset8 || startsWith(buffer, candidate.offset8, 8)));
+  if (signature) {
+    // Zip-based formats such as DOCX keep their more specific type
+    const zipBased = signature.type === 'application/zip' && claimed &&
+      !SIGNED_TYPES.has(claimed) && !isTextType(claimed);
+    return zipBased ? claimed : signature.type;
+  }
+  if (isText(buffer)) {
+    // Text keeps its declared flavour (CSV, JSON, ...)
+    return isTextType(claimed) ? claimed : 'text/plain';
+  }
+  // Other binary files are taken at their word, unless they claim to be
+  // a format whose signature is known
+  return SIGNED_TYPES.has(claimed) || isTextType(claimed) || !claimed ? null : claimed;
+};
+
+// Re-encode an image in its own format, turned upright, without metadata
+const reencode = (buffer, type) => {
+  const animated = type === 'image/gif' || type === 'image/webp';
+  const format = type.slice('image/'.length);
+  return sharp(buffer, { animated })
+    .autoOrient()
+    .toFormat(format)
+    .toBuffer();
+};
+
+// Mark sharp failures as invalid content
+const asInvalidContent = (error) => {
+  const invalid = new Error(`File is not a valid image: ${error.message}`);
+  invalid.code = INVALID_CONTENT;
+  return invalid;
+};
+
+/**
+ * Remove the metadata of an image. Other files are returned unchanged.
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Detected content type
+ * @returns {Promise<Buffer>} Contents to store
+ */
+const stripMetadata = async (buffer, contentType) => {
+  if (!IMAGE_TYPES.includes(contentType)) {
+    return buffer;
+  }
+  try {
+    return await reencode(buffer, contentType);
+  } catch (error) {
+    throw asInvalidContent(error);
+  }
+};
+
+/**
+ * Turn an uploaded picture into a profile picture and its thumbnails.
+ * Every version is a square WebP image without metadata.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object[]>} [{ size, data }], the full picture first
+ */
+const avatarVersions = async (buffer) => {
+  if (!IMAGE_TYPES.includes(detectContentType(buffer, ''))) {
+    const error = new Error('Profile pictures must be PNG, JPEG, GIF or WebP images');
+    error.code = INVALID_CONTENT;
+    throw error;
+  }
+
+  try {
+    const sizes = [config.avatars.size, ...config.avatars.thumbnailSizes];
+    return await Promise.all(sizes.map(async (size) => ({
+      size,
+      data: await sharp(buffer)
+        .autoOrient()
+        .resize(size, size, { fit: 'cover' })
+        .webp()
+        .toBuffer()
+    })));
+  } catch (error) {
+    throw asInvalidContent(error);
+  }
+};
+
+module.exports = {
+  INVALID_CONTENT,
+  detectContentType,
+  stripMetadata,
+  avatarVersions
+};
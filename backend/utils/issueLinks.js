@@ -0,0 +1,202 @@
+/**
+ * Issue links
+ *
+ * Links are requested from the point of view of one issue ("this issue is
+ * blocked by #2") but stored once in a fixed direction (see
+ * models/IssueLink), so the reciprocal link never needs separate upkeep.
+ * This module converts between the two views, checks new links for
+ * conflicts and cycles, and rolls up the status of sub-tasks.
+ *
+ * @module utils/issueLinks
+ */
+
+const Issue = require('../models/Issue-final');
+const IssueLink = require('../models/IssueLink');
+const { workflow } = require('../config/workflow');
+
+/**
+ * Link types as seen from one issue, with the stored type and whether the
+ * issue is the target of the stored link
+ * @type {Object<string, Object>}
+ */
+const LINK_TYPES = {
+  duplicates: { stored: 'duplicates', reverse: false },
+  duplicated_by: { stored: 'duplicates', reverse: true },
+  blocks: { stored: 'blocks', reverse: false },
+  blocked_by: { stored: 'blocks', reverse: true },
+  relates_to: { stored: 'relates_to', reverse: false },
+  parent_of: { stored: 'parent_of', reverse: false },
+  child_of: { stored: 'parent_of', reverse: true }
+};
+
+// Name of each stored type as seen from the link's target
+const TARGET_NAMES = {
+  duplicates: 'duplicated_by',
+  blocks: 'blocked_by',
+  relates_to: 'relates_to',
+  parent_of: 'child_of'
+};
+
+// Stored types that may only link issues of the same project
+const SAME_PROJECT_TYPES = ['duplicates', 'parent_of'];
+
+/**
+ * Convert a link requested on an issue to its stored form
+ * @param {string} type - Key of LINK_TYPES
+ * @param {ObjectId} issueId - Issue the link is requested on
+ * @param {ObjectId} otherId - Issue to link to
+ * @returns {Object} { type, source, target }
+ */
+const toStoredLink = (type, issueId, otherId) => {
+  const { stored, reverse } = LINK_TYPES[type];
+
+  if (stored === 'relates_to') {
+    const [source, target] = [issueId, otherId]
+      .sort((a, b) => a.toString().localeCompare(b.toString()));
+    return { type: stored, source, target };
+  }
+  return reverse
+    ? { type: stored, source: otherId, target: issueId }
+    : { type: stored, source: issueId, target: otherId };
+};
+
+/**
+ * Describe a stored link from the point of view of one of its issues
+ * @param {Object} link - Stored link
+ * @param {ObjectId} issueId - Issue looking at the link
+ * @returns {Object} { type, issue } where issue is the other issue's ID
+ */
+const describeLink = (link, issueId) => (link.source.equals(issueId)
+  ? { type: link.type, issue: link.target }
+  : { type: TARGET_NAMES[link.type], issue: link.source });
+
+// Whether following links of one type from an issue leads to another issue
+const reaches = async (fromId, toId, type) => {
+  const seen = new Set([fromId.toString()]);
+  let frontier = [fromId];
+
+  while (frontier.length > 0) {
+    const links = await IssueLink.find({ type, source: { $in: frontier } }).select('target').lean();
+    frontier = [];
+    for (const { target } of links) {
+      if (target.equals(toId)) {
+        return true;
+      }
+      if (!seen.has(target.toString())) {
+        seen.add(target.toString());
+        frontier.push(target);
+      }
+    }
+  }
+  return false;
+};
+
+const refuse = (status, message) => ({ status, message });
+
+/**
+ * Check whether a link may be created. An issue can duplicate only one
+ * other issue and have only one parent, and blocking, parent and
+ * duplicate chains must not form cycles.
+ * @param {Object} link - Stored link from toStoredLink
+ * @param {Object} source - Source issue document
+ * @param {Object} target - Target issue document
+ * @returns {Promise<Object|null>} { status, message } if the link is
+ *   refused, or null if it may be created
+ */
+const checkNewLink = async (link, source, target) => {
+  if (link.source.equals(link.target)) {
+    return refuse(400, "An issue cannot be linked to itself");
+  }
+  if (SAME_PROJECT_TYPES.includes(link.type) && !source.project.equals(target.project)) {
+    return refuse(400, "Duplicates and sub-tasks must be in the same project");
+  }
+  if (await IssueLink.exists(link)) {
+    return refuse(409, "These issues are already linked this way");
+  }
+
+  if (link.type === 'duplicates' && await IssueLink.exists({ source: link.source, type: 'duplicates' })) {
+    return refuse(409, "The issue is already marked as a duplicate of another issue");
+  }
+  if (link.type === 'parent_of' && await IssueLink.exists({ target: link.target, type: 'parent_of' })) {
+    return refuse(409, "The sub-task already has a parent");
+  }
+
+  if (link.type !== 'relates_to' && await reaches(link.target, link.source, link.type)) {
+    return refuse(409, `This link would create a cycle of '${link.type}' links`);
+  }
+  return null;
+};
+
+/**
+ * Get the links of an issue with a summary of each linked issue
+ * @param {ObjectId} issueId - Issue ID
+ * @param {Object} [visible={}] - Filter limiting the linked issues shown,
+ *   e.g. to the projects the user can see
+ * @returns {Promise<Object[]>} [{ _id, type, issue, createdBy, createdAt }]
+ *   with type as seen from the issue
+ */
+const getLinks = async (issueId, visible = {}) => {
+  const links = await IssueLink.find({ $or: [{ source: issueId }, { target: issueId }] })
+    .sort({ createdAt: 1 })
+    .lean();
+  const described = links.map((link) => ({ link, ...describeLink(link, issueId) }));
+
+  const issues = await Issue.find({ ...visible, _id: { $in: described.map((entry) => entry.issue) } })
+    .select('title status priority project')
+    .lean();
+  const issuesById = new Map(issues.map((issue) => [issue._id.toString(), issue]));
+
+  return described
+    .filter((entry) => issuesById.has(entry.issue.toString()))
+    .map(({ link, type, issue }) => ({
+      _id: link._id,
+      type,
+      issue: issuesById.get(issue.toString()),
+      createdBy: link.createdBy,
+      createdAt: link.createdAt
+    }));
+};
+
+/**
+ * Roll up the status of an issue's sub-tasks
+ * @param {ObjectId} issueId - Parent issue ID
+ * @returns {Promise<Object|null>} { total, open, inProgress, done,
+ *   percentComplete, status } where status is the category of the whole
+ *   (open, in_progress or done), or null if the issue has no sub-tasks
+ */
+const getSubtaskRollup = async (issueId) => {
+  const childIds = await IssueLink.find({ source: issueId, type: 'parent_of' }).distinct('target');
+  if (childIds.length === 0) {
+    return null;
+  }
+
+  const children = await Issue.find({ _id: { $in: childIds } }).select('status').lean();
+  const categoryOf = new Map(workflow.statuses.map((status) => [status.name, status.category]));
+  const keys = { open: 'open', in_progress: 'inProgress', done: 'done' };
+  const rollup = { total: children.length, open: 0, inProgress: 0, done: 0 };
+  for (const child of children) {
+    const key = keys[categoryOf.get(child.status)];
+    if (key) {
+      rollup[key]++;
+    }
+  }
+
+  rollup.percentComplete = rollup.total > 0 ? Math.round(rollup.done / rollup.total * 1000) / 10 : 0;
+  if (rollup.total > 0 && rollup.done === rollup.total) {
+    rollup.status = 'done';
+  } else if (rollup.inProgress > 0 || rollup.done > 0) {
+    rollup.status = 'in_progress';
+  } else {
+    rollup.status = 'open';
+  }
+  return rollup;
+};
+
+module.exports = {
+  LINK_TYPES,
+  toStoredLink,
+  describeLink,
+  checkNewLink,
+  getLinks,
+  getSubtaskRollup
+};
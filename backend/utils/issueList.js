@@ -0,0 +1,117 @@
+/**
+ * Issue list responses
+ *
+ * Sends pages of issues in the format shared by every issue list
+ * endpoint: populated issues with comment counts, a pagination object
+ * and next/prev links. Query parsing and execution live in
+ * utils/issueQuery.
+ *
+ * @module utils/issueList
+ */
+
+const Issue = require('../models/Issue-final');
+const Comment = require('../models/Comment');
+const {
+  QueryValidationError,
+  parseIssueListQuery,
+  runIssueListQuery
+} = require('./issueQuery');
+const { buildPageLink } = require('./helpers');
+
+/**
+ * Fields included when populating issues
+ * @type {Object[]}
+ */
+const ISSUE_POPULATE = [
+  { path: 'author', select: 'name email' },
+  { path: 'assignees', select: 'name email' },
+  { path: 'labels', select: 'name color' },
+  { path: 'milestone', select: 'name state dueDate' }
+];
+
+/**
+ * Run a paginated issue list query and send the response.
+ * Shared by the list endpoints; see utils/issueQuery for the parameters.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [baseFilter={}] - Conditions the endpoint always applies,
+ *   on top of the request's project scope
+ */
+const sendIssueList = async (req, res, baseFilter = {}) => {
+  const params = parseIssueListQuery(Issue, req.query, { userId: req.user.id });
+  const result = await runIssueListQuery(Issue, params, { $and: [req.issueScope, baseFilter] });
+  const issues = await Issue.populate(result.issues, ISSUE_POPULATE);
+
+  // Count comments for the whole page in one query
+  const commentCounts = await Comment.aggregate([
+    { $match: { issue: { $in: issues.map((issue) => issue._id) } } },
+    { $group: { _id: '$issue', count: { $sum: 1 } } }
+  ]);
+  const countByIssue = new Map(commentCounts.map((entry) => [entry._id.toString(), entry.count]));
+
+  const isCursorMode = Boolean(params.cursor);
+  const links = {
+    self: buildPageLink(req, {}),
+    next: null,
+    prev: null
+  };
+  if (isCursorMode) {
+    if (result.nextCursor) links.next = buildPageLink(req, { cursor: result.nextCursor });
+    if (result.prevCursor) links.prev = buildPageLink(req, { cursor: result.prevCursor });
+  } else {
+    if (result.hasNext) links.next = buildPageLink(req, { page: params.page + 1 });
+    if (result.hasPrev) links.prev = buildPageLink(req, { page: params.page - 1 });
+  }
+
+  res.json({
+    success: true,
+    count: issues.length,
+    total: result.total,
+    data: issues.map((issue) => ({
+      ...issue.toObject(),
+      commentCount: countByIssue.get(issue.id) || 0,
+      ageInDays: issue.ageInDays,
+      isOverdue: issue.isOverdue
+    })),
+    pagination: {
+      mode: isCursorMode ? 'cursor' : 'offset',
+      limit: params.limit,
+      page: isCursorMode ? undefined : params.page,
+      totalPages: isCursorMode ? undefined : Math.ceil(result.total / params.limit),
+      hasNext: result.hasNext,
+      hasPrev: result.hasPrev,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor
+    },
+    links
+  });
+};
+
+/**
+ * Send the response for a failed list request
+ * @param {Object} res - Express response
+ * @param {Error} error - Error raised while listing
+ * @param {string} message - Message for unexpected errors
+ */
+const sendListError = (res, error, message) => {
+  if (error instanceof QueryValidationError) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      errors: error.errors
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = {
+  ISSUE_POPULATE,
+  sendIssueList,
+  sendListError
+};
@@ -0,0 +1,378 @@
+/**
+ * Issue list queries
+ *
+ * Parses the query string of the issue list endpoints into a MongoDB
+ * filter, a sort order and pagination settings, and runs the resulting
+ * query. Both offset pagination (`page`) and cursor pagination (`cursor`)
+ * are supported. Invalid parameters are collected and reported together
+ * through a QueryValidationError.
+ *
+ * @module utils/issueQuery
+ */
+
+const mongoose = require('mongoose');
+const { isValidObjectId } = require('./helpers');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_SORT = '-createdAt';
+
+/**
+ * Error raised for invalid list parameters
+ */
+class QueryValidationError extends Error {
+  constructor(errors) {
+    super('Invalid query parameters');
+    this.name = 'QueryValidationError';
+    this.status = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fields that can be used in `sort`. Status, priority and severity sort by their
+ * position in the schema enum rather than alphabetically.
+ * @param {mongoose.Model} Issue - Issue model
+ * @returns {Object<string, Object>} Sort field definitions
+ */
+const getSortFields = (Issue) => ({
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' },
+  title: { type: 'string' },
+  status: { type: 'rank', values: Issue.schema.path('status').enumValues },
+  priority: { type: 'rank', values: Issue.schema.path('priority').enumValues },
+  severity: { type: 'rank', values: Issue.schema.path('severity').enumValues }
+});
+
+// Name of the computed field used to sort by enum position
+const sortKey = (field, definition) => (definition.type === 'rank' ? `${field}Rank` : field);
+
+// Query string values may be repeated (?status=a&status=b) or comma separated
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+const parseEnumList = (query, name, allowed, errors) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const values = toList(query[name]);
+  const invalid = values.filter((value) => !allowed.includes(value));
+  if (values.length === 0 || invalid.length > 0) {
+    errors.push(`${name} must be a comma-separated list of: ${allowed.join(', ')}`);
+    return undefined;
+  }
+  return { $in: values };
+};
+
+const parseDate = (query, name, errors) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const date = new Date(String(query[name]));
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be a valid date (e.g. 2026-01-31 or an ISO timestamp)`);
+    return undefined;
+  }
+  return date;
+};
+
+const parseDateRange = (query, field, errors) => {
+  const from = parseDate(query, `${field}After`, errors);
+  const to = parseDate(query, `${field}Before`, errors);
+
+  if (from && to && from > to) {
+    errors.push(`${field}After must be before ${field}Before`);
+  }
+  if (!from && !to) {
+    return undefined;
+  }
+
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+const parsePositiveInt = (query, name, errors, max) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < 1 || (max && value > max)) {
+    errors.push(max
+      ? `${name} must be an integer between 1 and ${max}`
+      : `${name} must be a positive integer`);
+    return undefined;
+  }
+  return value;
+};
+
+const parseSort = (query, sortFields, errors) => {
+  const sort = [];
+
+  for (const item of toList(query.sort || DEFAULT_SORT)) {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+
+    if (!sortFields[field]) {
+      errors.push(`sort field '${field}' is not supported; use: ${Object.keys(sortFields).join(', ')}`);
+    } else if (sort.some((entry) => entry.field === field)) {
+      errors.push(`sort field '${field}' is listed more than once`);
+    } else {
+      sort.push({ field, direction });
+    }
+  }
+  return sort;
+};
+
+/**
+ * Encode a cursor pointing at an issue
+ * @param {Object} issue - Issue as returned by the list pipeline
+ * @param {Object[]} sort - Parsed sort order
+ * @param {Object} sortFields - Sort field definitions
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Opaque base64url cursor
+ */
+const encodeCursor = (issue, sort, sortFields, direction) => {
+  const values = sort.map(({ field }) => {
+    const value = issue[sortKey(field, sortFields[field])];
+    return value instanceof Date ? value.toISOString() : value;
+  });
+  const payload = { v: values, id: issue._id.toString(), d: direction };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort, sortFields, errors) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+
+    if (!Array.isArray(payload.v) || payload.v.length !== sort.length ||
+        !isValidObjectId(payload.id) || !['next', 'prev'].includes(payload.d)) {
+      throw new Error('Malformed cursor');
+    }
+
+    const values = payload.v.map((value, index) => {
+      const definition = sortFields[sort[index].field];
+      return definition.type === 'date' ? new Date(value) : value;
+    });
+    return { values, id: new mongoose.Types.ObjectId(payload.id), direction: payload.d };
+  } catch (error) {
+    errors.push('cursor is invalid or does not match the current sort order');
+    return undefined;
+  }
+};
+
+/**
+ * Parse the query string of an issue list request
+ * @param {mongoose.Model} Issue - Issue model
+ * @param {Object} query - Express req.query
+ * @param {Object} context
+ * @param {string} context.userId - Current user, used for `me` values
+ * @returns {Object} { filter, sort, limit, page, cursor }
+ * @throws {QueryValidationError} If any parameter is invalid
+ */
+const parseIssueListQuery = (Issue, query, { userId }) => {
+  const errors = [];
+  const filter = {};
+  const sortFields = getSortFields(Issue);
+
+  const status = parseEnumList(query, 'status', Issue.schema.path('status').enumValues, errors);
+  if (status) filter.status = status;
+
+  const priority = parseEnumList(query, 'priority', Issue.schema.path('priority').enumValues, errors);
+  if (priority) filter.priority = priority;
+
+  const severity = parseEnumList(query, 'severity', Issue.schema.path('severity').enumValues, errors);
+  if (severity) filter.severity = severity;
+
+  const category = parseEnumList(query, 'category', Issue.schema.path('category').enumValues, errors);
+  if (category) filter.category = category;
+
+  const slaState = parseEnumList(query, 'slaState', Issue.schema.path('sla.state').enumValues, errors);
+  if (slaState) filter['sla.state'] = slaState;
+
+  // Issues must carry every listed label
+  if (query.label !== undefined) {
+    const labels = toList(query.label);
+    if (labels.length === 0 || !labels.every(isValidObjectId)) {
+      errors.push('label must be a comma-separated list of label IDs');
+    } else {
+      filter.labels = { $all: labels.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+  }
+
+  if (query.assignee !== undefined) {
+    const assignees = toList(query.assignee).map((value) => (value === 'me' ? userId : value));
+    if (assignees.length === 1 && assignees[0] === 'none') {
+      Object.assign(filter, Issue.unassignedFilter());
+    } else if (assignees.length === 0 || !assignees.every(isValidObjectId)) {
+      errors.push("assignee must be a comma-separated list of user IDs or 'me', or 'none'");
+    } else {
+      filter.assignees = { $in: assignees.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+  }
+
+  if (query.milestone !== undefined) {
+    const milestone = String(query.milestone);
+    if (milestone === 'none') {
+      filter.milestone = null;
+    } else if (!isValidObjectId(milestone)) {
+      errors.push("milestone must be a milestone ID or 'none'");
+    } else {
+      filter.milestone = new mongoose.Types.ObjectId(milestone);
+    }
+  }
+
+  if (query.author !== undefined) {
+    const author = query.author === 'me' ? userId : String(query.author);
+    if (!isValidObjectId(author)) {
+      errors.push("author must be a user ID or 'me'");
+    } else {
+      filter.author = new mongoose.Types.ObjectId(author);
+    }
+  }
+
+  const createdAt = parseDateRange(query, 'created', errors);
+  if (createdAt) filter.createdAt = createdAt;
+
+  const updatedAt = parseDateRange(query, 'updated', errors);
+  if (updatedAt) filter.updatedAt = updatedAt;
+
+  const dueDate = parseDateRange(query, 'due', errors);
+  if (dueDate) filter.dueDate = dueDate;
+
+  const sort = parseSort(query, sortFields, errors);
+  const limit = parsePositiveInt(query, 'limit', errors, MAX_LIMIT) || DEFAULT_LIMIT;
+  const page = parsePositiveInt(query, 'page', errors);
+
+  let cursor;
+  if (query.cursor !== undefined) {
+    if (page !== undefined) {
+      errors.push('page and cursor cannot be used together');
+    }
+    cursor = decodeCursor(query.cursor, sort, sortFields, errors);
+  }
+
+  if (errors.length > 0) {
+    throw new QueryValidationError(errors);
+  }
+
+  return { filter, sort, limit, page: page || 1, cursor };
+};
+
+// Build the condition selecting issues after (or before) a cursor position
+const buildCursorMatch = (sort, sortFields, cursor, reverse) => {
+  const keys = sort.map(({ field, direction }) => ({
+    key: sortKey(field, sortFields[field]),
+    direction: reverse ? -direction : direction
+  }));
+  keys.push({ key: '_id', direction: keys[keys.length - 1].direction });
+
+  const values = [...cursor.values, cursor.id];
+  const branches = keys.map((current, index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[keys[i].key] = values[i];
+    }
+    branch[current.key] = { [current.direction === 1 ? '$gt' : '$lt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+/**
+ * Run a parsed issue list query
+ * @param {mongoose.Model} Issue - Issue model
+ * @param {Object} params - Result of parseIssueListQuery
+ * @param {Object} [baseFilter={}] - Conditions applied on top of the query;
+ *   both have to match, so a query parameter is never overridden
+ * @returns {Promise<Object>} { issues, total, hasNext, hasPrev, nextCursor, prevCursor }
+ *   where issues are hydrated Issue documents
+ */
+const runIssueListQuery = async (Issue, params, baseFilter = {}) => {
+  const { filter, sort, limit, page, cursor } = params;
+  const sortFields = getSortFields(Issue);
+  const match = { $and: [filter, baseFilter] };
+  const reverse = cursor && cursor.direction === 'prev';
+
+  // Computed fields so enum fields sort by position
+  const rankFields = {};
+  for (const { field } of sort) {
+    const definition = sortFields[field];
+    if (definition.type === 'rank') {
+      rankFields[sortKey(field, definition)] = { $indexOfArray: [definition.values, `$${field}`] };
+    }
+  }
+
+  const sortStage = {};
+  for (const { field, direction } of sort) {
+    sortStage[sortKey(field, sortFields[field])] = reverse ? -direction : direction;
+  }
+  sortStage._id = sortStage[Object.keys(sortStage).pop()];
+
+  const pipeline = [{ $match: match }];
+  if (Object.keys(rankFields).length > 0) {
+    pipeline.push({ $addFields: rankFields });
+  }
+  if (cursor) {
+    pipeline.push({ $match: buildCursorMatch(sort, sortFields, cursor, reverse) });
+  }
+  pipeline.push({ $sort: sortStage });
+  if (!cursor) {
+    pipeline.push({ $skip: (page - 1) * limit });
+  }
+  pipeline.push({ $limit: limit + 1 });
+
+  const [rows, total] = await Promise.all([
+    Issue.aggregate(pipeline),
+    Issue.countDocuments(match)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  if (reverse) {
+    pageRows.reverse();
+  }
+
+  let hasNext;
+  let hasPrev;
+  if (!cursor) {
+    hasNext = hasMore;
+    hasPrev = page > 1;
+  } else {
+    hasNext = reverse ? true : hasMore;
+    hasPrev = reverse ? hasMore : true;
+  }
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = hasNext && last ? encodeCursor(last, sort, sortFields, 'next') : null;
+  const prevCursor = hasPrev && first ? encodeCursor(first, sort, sortFields, 'prev') : null;
+
+  // Drop the computed sort fields and turn rows back into documents
+  const issues = pageRows.map((row) => {
+    for (const key of Object.keys(rankFields)) {
+      delete row[key];
+    }
+    return Issue.hydrate(row);
+  });
+
+  return { issues, total, hasNext, hasPrev, nextCursor, prevCursor };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  QueryValidationError,
+  parseIssueListQuery,
+  runIssueListQuery
+};
@@ -0,0 +1,282 @@
+/**
+ * Login throttling
+ *
+ * Tracks failed login attempts per account (email) and per client IP.
+ * Clients are only counted by IP when their own address is known (see
+ * clientAddress), so that clients behind a shared proxy do not lock each
+ * other out.
+ * After a few free attempts each further failure doubles the wait before
+ * the next attempt is accepted, and too many failures lock the key for a
+ * while. Counters live in a pluggable store chosen with
+ * LOGIN_THROTTLE_STORE:
+ * - `memory`: per-process map (default, single instance only)
+ * - `mongo`: the LoginAttempt collection, shared between instances
+ *
+ * A store implements `get(key)`, `increment(key, expiresAt)`,
+ * `update(key, fields)` and `delete(key)`, all async. Records have the
+ * shape `{ failures, nextAttemptAt, lockedUntil }`.
+ *
+ * @module utils/loginThrottle
+ */
+
+const net = require('net');
+const config = require('../config/config');
+const LoginAttempt = require('../models/LoginAttempt');
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+
+    // Drop expired records now and then so the map does not grow forever
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, record] of this.records) {
+        if (record.expiresAt <= now) {
+          this.records.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      return null;
+    }
+    return record;
+  }
+
+  async increment(key, expiresAt) {
+    const record = (await this.get(key)) ||
+      { failures: 0, nextAttemptAt: null, lockedUntil: null };
+    record.failures += 1;
+    record.expiresAt = expiresAt.getTime();
+    this.records.set(key, record);
+    return record;
+  }
+
+  async update(key, fields) {
+    const record = await this.get(key);
+    if (record) {
+      Object.assign(record, fields);
+    }
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+class MongoStore {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  }
+
+  async increment(key, expiresAt) {
+    // Counters that outlived their expiry but were not yet removed by the
+    // TTL monitor start over
+    await LoginAttempt.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { expiresAt } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+  }
+
+  async update(key, fields) {
+    await LoginAttempt.updateOne({ key }, { $set: fields });
+  }
+
+  async delete(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore()
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const factory = storeFactories[config.loginThrottle.store];
+    if (!factory) {
+      throw new Error(`Unknown login throttle store: ${config.loginThrottle.store}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+/**
+ * Register a custom store
+ * @param {string} name - Store name used in LOGIN_THROTTLE_STORE
+ * @param {Function} factory - Returns a store instance
+ */
+const registerStore = (name, factory) => {
+  storeFactories[name] = factory;
+  store = null;
+};
+
+// Loopback, private and shared (carrier-grade NAT) ranges, from which
+// reverse proxies and load balancers connect
+const PROXY_RANGES = new net.BlockList();
+PROXY_RANGES.addSubnet('127.0.0.0', 8, 'ipv4');
+PROXY_RANGES.addSubnet('10.0.0.0', 8, 'ipv4');
+PROXY_RANGES.addSubnet('172.16.0.0', 12, 'ipv4');
+PROXY_RANGES.addSubnet('192.168.0.0', 16, 'ipv4');
+PROXY_RANGES.addSubnet('100.64.0.0', 10, 'ipv4');
+PROXY_RANGES.addSubnet('169.254.0.0', 16, 'ipv4');
+PROXY_RANGES.addAddress('::1', 'ipv6');
+PROXY_RANGES.addSubnet('fc00::', 7, 'ipv6');
+PROXY_RANGES.addSubnet('fe80::', 10, 'ipv6');
+
+/**
+ * Address a login attempt is counted against per IP. When the app trusts
+ * its proxies (TRUST_PROXY), req.ip is the client's address. Otherwise a
+ * connection from a private or loopback address is taken to come through
+ * a proxy shared by all clients, and the attempt is not counted per IP.
+ * @param {Object} req - Express request
+ * @returns {string|null} Client address, or null if it is not known
+ */
+const clientAddress = (req) => {
+  if (!req.ip) {
+    return null;
+  }
+  if (req.app.get('trust proxy')) {
+    return req.ip;
+  }
+  const address = req.ip.replace(/^::ffff:/, '');
+  return PROXY_RANGES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6') ? null : req.ip;
+};
+
+/**
+ * Build the throttle keys for a login attempt
+ * @param {string} email - Email the attempt was made for
+ * @param {string|null} [ip] - Client address from clientAddress; without
+ *   one the attempt is only counted for the account
+ * @returns {Object} { account, ip? }
+ */
+const keysFor = (email, ip) => {
+  const keys = { account: `account:${String(email || '').toLowerCase().trim()}` };
+  if (ip) {
+    keys.ip = `ip:${ip}`;
+  }
+  return keys;
+};
+
+/**
+ * Check whether a login attempt may proceed
+ * @param {Object} keys - Keys from keysFor
+ * @returns {Promise<Object>} { allowed, locked, retryAfter } with retryAfter in seconds
+ */
+const check = async (keys) => {
+  const now = Date.now();
+  let retryAt = 0;
+  let locked = false;
+
+  for (const key of Object.values(keys)) {
+    const record = await getStore().get(key);
+    if (!record) {
+      continue;
+    }
+
+    const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+    const nextAttemptAt = record.nextAttemptAt ? new Date(record.nextAttemptAt).getTime() : 0;
+
+    if (lockedUntil > now) {
+      locked = true;
+      retryAt = Math.max(retryAt, lockedUntil);
+    } else if (nextAttemptAt > now) {
+      retryAt = Math.max(retryAt, nextAttemptAt);
+    }
+  }
+
+  return {
+    allowed: retryAt === 0,
+    locked,
+    retryAfter: retryAt ? Math.ceil((retryAt - now) / 1000) : 0
+  };
+};
+
+/**
+ * Record a failed attempt for every key
+ * @param {Object} keys - Keys from keysFor
+ * @returns {Promise<Object>} { accountLocked, failures } where accountLocked
+ *   is true when this failure caused the account to be locked
+ */
+const registerFailure = async (keys) => {
+  const settings = config.loginThrottle;
+  const now = Date.now();
+  const expiresAt = new Date(now + settings.resetAfterMinutes * 60 * 1000);
+  const limits = {
+    [keys.account]: settings.maxAccountFailures,
+    [keys.ip]: settings.maxIpFailures
+  };
+  let accountLocked = false;
+  let accountFailures = 0;
+
+  for (const key of Object.values(keys)) {
+    const record = await getStore().increment(key, expiresAt);
+    const fields = {};
+
+    if (key === keys.account) {
+      accountFailures = record.failures;
+    }
+
+    if (record.failures >= limits[key]) {
+      // Lock the key and start counting again once the lockout is over
+      fields.lockedUntil = new Date(now + settings.lockoutMinutes * 60 * 1000);
+      fields.failures = 0;
+      fields.nextAttemptAt = null;
+      if (key === keys.account) {
+        accountLocked = true;
+      }
+    } else if (record.failures > settings.freeAttempts) {
+      const exponent = record.failures - settings.freeAttempts - 1;
+      const delaySeconds = Math.min(
+        settings.backoffBaseSeconds * Math.pow(2, exponent),
+        settings.backoffMaxSeconds
+      );
+      fields.nextAttemptAt = new Date(now + delaySeconds * 1000);
+    }
+
+    if (Object.keys(fields).length > 0) {
+      await getStore().update(key, fields);
+    }
+  }
+
+  return { accountLocked, failures: accountFailures };
+};
+
+/**
+ * Forget the failures of an account after a successful login
+ * @param {Object} keys - Keys from keysFor
+ * @returns {Promise<void>}
+ */
+const reset = async (keys) => {
+  await getStore().delete(keys.account);
+};
+
+/**
+ * Lift a lockout on an account
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const unlockAccount = async (email) => {
+  await getStore().delete(keysFor(email).account);
+};
+
+module.exports = {
+  registerStore,
+  clientAddress,
+  keysFor,
+  check,
+  registerFailure,
+  reset,
+  unlockAccount
+};
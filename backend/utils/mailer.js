@@ -0,0 +1,105 @@
+/**
+ * Mailer
+ *
+ * Sends email through a pluggable transport selected with the
+ * MAIL_TRANSPORT setting. Three transports are built in:
+ * - `console`: prints messages to stdout (default, for local development)
+ * - `file`: writes each message as a JSON file to MAIL_FILE_DIR
+ * - `smtp`: delivers through the SMTP server in the SMTP_* settings
+ *
+ * Additional transports can be added with `registerTransport`. A transport
+ * factory receives the mail configuration and returns an object with an
+ * async `send(message)` method.
+ *
+ * @module utils/mailer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`  From: ${message.from}`);
+    console.log(`  To: ${message.to}`);
+    console.log(`  Subject: ${message.subject}`);
+    console.log(message.text);
+  }
+});
+
+const createFileTransport = (mailConfig) => ({
+  send: async (message) => {
+    await fs.promises.mkdir(mailConfig.fileDir, { recursive: true });
+    const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    await fs.promises.writeFile(
+      path.join(mailConfig.fileDir, filename),
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const createSmtpTransport = (mailConfig) => {
+  const { host, port, secure, user, pass } = mailConfig.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    send: async (message) => {
+      await transporter.sendMail(message);
+    }
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register a mail transport
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - Receives the mail config, returns { send }
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[config.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    activeTransport = factory(config.mail);
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @param {Object} [message.headers] - Extra headers, e.g. List-Unsubscribe
+ * @returns {Promise<void>}
+ */
+const sendMail = async (message) => {
+  await getTransport().send({ from: config.mail.from, ...message });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
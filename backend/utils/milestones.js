@@ -0,0 +1,198 @@
+/**
+ * Milestone progress and burndown
+ *
+ * Progress counts the issues of a milestone by status category. The
+ * burndown replays the status and milestone changes recorded in the
+ * activity log to find, for every day of the milestone, how many of its
+ * issues were still unfinished at the end of that day. Issues added to
+ * or removed from the milestone along the way are counted only while
+ * they belonged to it.
+ *
+ * @module utils/milestones
+ */
+
+const Issue = require('../models/Issue-final');
+const Activity = require('../models/Activity');
+const { statusesIn } = require('../config/workflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Longest period covered by a burndown, in days
+ * @type {number}
+ */
+const MAX_BURNDOWN_DAYS = 366;
+
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+/**
+ * Count the issues of milestones by status category
+ * @param {ObjectId[]} milestoneIds - Milestones to count
+ * @returns {Promise<Map<string, Object>>} Progress per milestone ID:
+ *   { total, open, inProgress, done, percentComplete }
+ */
+const getProgress = async (milestoneIds) => {
+  const rows = await Issue.aggregate([
+    { $match: { milestone: { $in: milestoneIds } } },
+    { $group: { _id: { milestone: '$milestone', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const categories = {
+    open: statusesIn('open'),
+    inProgress: statusesIn('in_progress'),
+    done: statusesIn('done')
+  };
+
+  const progress = new Map(milestoneIds.map((id) => [
+    id.toString(),
+    { total: 0, open: 0, inProgress: 0, done: 0, percentComplete: 0 }
+  ]));
+
+  for (const row of rows) {
+    const entry = progress.get(row._id.milestone.toString());
+    entry.total += row.count;
+    for (const [category, statuses] of Object.entries(categories)) {
+      if (statuses.includes(row._id.status)) {
+        entry[category] += row.count;
+      }
+    }
+  }
+
+  for (const entry of progress.values()) {
+    entry.percentComplete = entry.total > 0 ? Math.round(entry.done / entry.total * 1000) / 10 : 0;
+  }
+  return progress;
+};
+
+// Status and milestone of an issue at a point in time, found by undoing the
+// changes made after it. Returns null if the issue did not exist yet.
+const stateAt = (issue, events, time) => {
+  if (issue.createdAt > time) {
+    return null;
+  }
+
+  const state = {
+    status: issue.status,
+    milestone: issue.milestone ? issue.milestone.toString() : null
+  };
+  for (let i = events.length - 1; i >= 0 && events[i].createdAt > time; i--) {
+    for (const change of events[i].changes) {
+      if (change.field in state) {
+        state[change.field] = change.from;
+      }
+    }
+  }
+  return state;
+};
+
+/**
+ * Compute daily burndown points
+ * @param {Object} options
+ * @param {string} options.milestoneId - Milestone ID
+ * @param {Object[]} options.issues - Issues that belong or belonged to the
+ *   milestone: { _id, status, milestone, createdAt }
+ * @param {Object[]} options.activities - 'updated' activity entries of those issues
+ * @param {Date} options.start - First day
+ * @param {Date} options.end - Last day (usually today or the closing date)
+ * @param {Date} [options.dueDate] - Due date, used for the ideal line
+ * @returns {Object[]} [{ date, total, completed, remaining, ideal }] where
+ *   ideal is null without a due date
+ */
+const buildBurndown = ({ milestoneId, issues, activities, start, end, dueDate }) => {
+  const doneStatuses = statusesIn('done');
+  const eventsByIssue = new Map(issues.map((issue) => [issue._id.toString(), []]));
+  for (const activity of [...activities].sort((a, b) => a.createdAt - b.createdAt)) {
+    const events = eventsByIssue.get(activity.issue.toString());
+    if (events) {
+      events.push(activity);
+    }
+  }
+
+  let firstDay = startOfDay(start);
+  const lastDay = startOfDay(end);
+  if ((lastDay - firstDay) / DAY_MS >= MAX_BURNDOWN_DAYS) {
+    firstDay = new Date(lastDay.getTime() - (MAX_BURNDOWN_DAYS - 1) * DAY_MS);
+  }
+  const dueDay = dueDate ? startOfDay(dueDate) : null;
+
+  const points = [];
+  for (let day = firstDay; day <= lastDay; day = new Date(day.getTime() + DAY_MS)) {
+    const time = new Date(Math.min(day.getTime() + DAY_MS - 1, end.getTime()));
+    let total = 0;
+    let completed = 0;
+
+    for (const issue of issues) {
+      const state = stateAt(issue, eventsByIssue.get(issue._id.toString()), time);
+      if (state && state.milestone === milestoneId) {
+        total++;
+        if (doneStatuses.includes(state.status)) {
+          completed++;
+        }
+      }
+    }
+
+    points.push({
+      date: day.toISOString().slice(0, 10),
+      total,
+      completed,
+      remaining: total - completed,
+      ideal: null
+    });
+  }
+
+  // Ideal line: straight from the first day's remaining work to zero on the due date
+  if (dueDay && points.length > 0) {
+    const span = Math.max(1, (dueDay - firstDay) / DAY_MS);
+    points.forEach((point, index) => {
+      const left = points[0].remaining * (1 - index / span);
+      point.ideal = Math.max(0, Math.round(left * 100) / 100);
+    });
+  }
+
+  return points;
+};
+
+/**
+ * Load the data for a milestone's burndown and compute it
+ * @param {Object} milestone - Milestone document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object[]>} Burndown points, see buildBurndown
+ */
+const getBurndown = async (milestone, now = new Date()) => {
+  const milestoneId = milestone._id.toString();
+
+  // Issues in the milestone now, plus issues moved in or out of it
+  const [currentIds, movedIds] = await Promise.all([
+    Issue.find({ milestone: milestone._id }).distinct('_id'),
+    Activity.find({
+      action: 'updated',
+      changes: { $elemMatch: { field: 'milestone', $or: [{ from: milestoneId }, { to: milestoneId }] } }
+    }).distinct('issue')
+  ]);
+  const issueIds = [...currentIds, ...movedIds];
+
+  const [issues, activities] = await Promise.all([
+    Issue.find({ _id: { $in: issueIds } }).select('status milestone createdAt').lean(),
+    Activity.find({
+      issue: { $in: issueIds },
+      action: 'updated',
+      'changes.field': { $in: ['status', 'milestone'] }
+    }).select('issue changes createdAt').lean()
+  ]);
+
+  return buildBurndown({
+    milestoneId,
+    issues,
+    activities,
+    start: milestone.startDate || milestone.createdAt,
+    end: milestone.state === 'closed' && milestone.closedAt ? milestone.closedAt : now,
+    dueDate: milestone.dueDate
+  });
+};
+
+module.exports = {
+  MAX_BURNDOWN_DAYS,
+  getProgress,
+  buildBurndown,
+  getBurndown
+};
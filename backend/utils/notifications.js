@@ -0,0 +1,161 @@
+/**
+ * Issue notifications
+ *
+ * Turns activity entries into in-app notifications for the watchers of
+ * an issue. Authors watch their issues from the start (see the Issue
+ * model); assignees and commenters are subscribed here when they are
+ * assigned or comment. The person who made a change is never notified of
+ * it, and users who can no longer see the issue's project or have turned
+ * the event type off in their preferences are skipped.
+ *
+ * @module utils/notifications
+ */
+
+const Issue = require('../models/Issue-final');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const events = require('./events');
+
+/**
+ * Subscribe users to an issue
+ * @param {ObjectId} issueId - Issue ID
+ * @param {ObjectId[]} userIds - Users to add to the watchers
+ * @returns {Promise<Object|null>} Updated issue, or null if it no longer exists
+ */
+const addWatchers = (issueId, userIds) => Issue.findByIdAndUpdate(
+  issueId,
+  { $addToSet: { watchers: { $each: userIds } } },
+  // Watching is not a change to the issue
+  { new: true, timestamps: false }
+);
+
+/**
+ * Create notifications of one event for a set of users
+ * @param {Object} options
+ * @param {string} options.type - Notification type (config/notifications)
+ * @param {Object} options.issue - Issue document
+ * @param {ObjectId} [options.actor] - User who caused the event; never notified
+ * @param {ObjectId} [options.activity] - Activity entry of the event
+ * @param {ObjectId} [options.comment] - Comment a mention was made in
+ * @param {ObjectId[]} options.recipients - Users to notify
+ * @param {string} options.message - Text shown in the inbox
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const notifyUsers = async ({ type, issue, actor, activity, comment, recipients, message }) => {
+  const ids = [...new Set(recipients.map((id) => id.toString()))]
+    .filter((id) => !actor || id !== actor.toString());
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const [users, project] = await Promise.all([
+    User.find({ _id: { $in: ids }, [`notificationPreferences.${type}`]: { $ne: false } })
+      .select('role'),
+    Project.findById(issue.project).select('members')
+  ]);
+  const allowed = users.filter((user) => project && project.roleOf(user));
+  if (allowed.length === 0) {
+    return [];
+  }
+
+  const notifications = await Notification.insertMany(allowed.map((user) => ({
+    recipient: user._id,
+    actor,
+    type,
+    issue: issue._id,
+    project: issue.project,
+    activity,
+    comment,
+    message
+  })));
+  for (const notification of notifications) {
+    events.emit('notification', notification);
+  }
+  return notifications;
+};
+
+// Notification type and message for an activity entry, or null if the
+// entry does not notify anyone
+const describeActivity = (activity, actorName, title) => {
+  switch (activity.action) {
+    case 'commented':
+      return { type: 'comment', message: `${actorName} commented on "${title}"` };
+    case 'assigned':
+      return { type: 'assignment', message: `${actorName} changed the assignees of "${title}"` };
+    case 'updated': {
+      const change = activity.changes.find((entry) => entry.field === 'status');
+      return change
+        ? { type: 'status_change', message: `${actorName} moved "${title}" from ${change.from} to ${change.to}` }
+        : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Subscribe and notify users for an activity entry
+ * @param {Object} activity - Activity document
+ * @returns {Promise<Object[]>} Created notifications
+ */
+const handleActivity = async (activity) => {
+  let issue;
+  if (activity.action === 'commented') {
+    issue = await addWatchers(activity.issue, [activity.actor]);
+  } else if (activity.action === 'assigned') {
+    issue = await addWatchers(activity.issue, activity.users);
+  } else {
+    issue = await Issue.findById(activity.issue).select('title project watchers');
+  }
+  if (!issue) {
+    return [];
+  }
+
+  const actor = await User.findById(activity.actor).select('name');
+  const actorName = actor ? actor.name : 'Someone';
+  const event = describeActivity(activity, actorName, issue.title);
+  if (!event) {
+    return [];
+  }
+
+  // Newly assigned users are told about the assignment itself, so the
+  // message is reworded for them
+  if (event.type === 'assignment') {
+    const assigned = activity.users.map((id) => id.toString());
+    const others = issue.watchers.filter((id) => !assigned.includes(id.toString()));
+    const [toAssigned, toOthers] = await Promise.all([
+      notifyUsers({
+        ...event,
+        message: `${actorName} assigned you to "${issue.title}"`,
+        issue,
+        actor: activity.actor,
+        activity: activity._id,
+        recipients: activity.users
+      }),
+      notifyUsers({ ...event, issue, actor: activity.actor, activity: activity._id, recipients: others })
+    ]);
+    return [...toAssigned, ...toOthers];
+  }
+
+  return notifyUsers({ ...event, issue, actor: activity.actor, activity: activity._id, recipients: issue.watchers });
+};
+
+/**
+ * Create notifications for activity as it is recorded. Failures are
+ * logged and never reach the request that recorded the activity.
+ */
+const startNotifications = () => {
+  events.on('activity', (activity) => {
+    handleActivity(activity).catch((error) => {
+      console.error(`Error creating notifications for activity ${activity._id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  addWatchers,
+  notifyUsers,
+  handleActivity,
+  startNotifications
+};
@@ -0,0 +1,280 @@
+/**
+ * Real-time events
+ *
+ * Pushes issue, comment and notification events to connected clients
+ * (see routes/realtimeRoutes). Events are published to a broker, and
+ * every server instance receives them from the broker and passes them to
+ * its own clients, so a change made through one instance reaches clients
+ * of all of them. The broker is chosen with REALTIME_BROKER:
+ * - `memory`: in-process only (default, single instance)
+ * - `mongo`: a capped collection followed by every instance
+ *
+ * A broker implements async `publish(message)` and `subscribe(handler)`,
+ * where handler receives every published message, including those of the
+ * same instance. Messages are plain objects of the form
+ * `{ event, project, issue, user, data }`: issue events carry the project
+ * and issue IDs, notification events the ID of the user they are for.
+ *
+ * @module utils/realtime
+ */
+
+const { EventEmitter } = require('events');
+const config = require('../config/config');
+const { ACTIVITY_EVENTS } = require('../config/webhooks');
+const Project = require('../models/Project');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const events = require('./events');
+const { buildActivityPayload } = require('./activityPayload');
+
+// Wait before following the mongo broker's collection again after the
+// cursor ended or failed
+const TAIL_RETRY_MS = 1000;
+
+class MemoryBroker {
+  constructor() {
+    this.emitter = new EventEmitter();
+  }
+
+  async publish(message) {
+    this.emitter.emit('message', message);
+  }
+
+  subscribe(handler) {
+    this.emitter.on('message', handler);
+  }
+}
+
+class MongoBroker {
+  constructor() {
+    this.handlers = [];
+    this.following = false;
+  }
+
+  async publish(message) {
+    await RealtimeEvent.create({ message });
+  }
+
+  subscribe(handler) {
+    this.handlers.push(handler);
+    if (!this.following) {
+      this.following = true;
+      this.follow();
+    }
+  }
+
+  // Follow the capped collection with a tailable cursor, starting after
+  // the newest event so that old events are not replayed
+  async follow() {
+    let last = null;
+    try {
+      last = await RealtimeEvent.findOne().sort({ $natural: -1 }).select('_id').lean();
+    } catch (error) {
+      console.error('Real-time broker could not read the event collection:', error.message);
+    }
+
+    for (;;) {
+      try {
+        const cursor = RealtimeEvent.find(last ? { _id: { $gt: last._id } } : {})
+          .tailable(true, { awaitData: true })
+          .lean()
+          .cursor();
+        for await (const doc of cursor) {
+          last = doc;
+          for (const handler of this.handlers) {
+            handler(doc.message);
+          }
+        }
+      } catch (error) {
+        console.error('Real-time broker cursor failed:', error.message);
+      }
+      // An empty capped collection ends the cursor right away
+      await new Promise((resolve) => setTimeout(resolve, TAIL_RETRY_MS));
+    }
+  }
+}
+
+const brokerFactories = {
+  memory: () => new MemoryBroker(),
+  mongo: () => new MongoBroker()
+};
+
+let broker = null;
+
+const getBroker = () => {
+  if (!broker) {
+    const factory = brokerFactories[config.realtime.broker];
+    if (!factory) {
+      throw new Error(`Unknown real-time broker: ${config.realtime.broker}`);
+    }
+    broker = factory();
+  }
+  return broker;
+};
+
+/**
+ * Register a custom broker
+ * @param {string} name - Broker name used in REALTIME_BROKER
+ * @param {Function} factory - Returns a broker instance
+ */
+const registerBroker = (name, factory) => {
+  brokerFactories[name] = factory;
+  broker = null;
+};
+
+// Clients connected to this instance
+const clients = new Set();
+
+/**
+ * Register a connected client
+ * @param {Object} options
+ * @param {Object} options.user - Authenticated user
+ * @param {Object} options.channels - { issues, issueIds: Set<string>, notifications }
+ * @param {Function} options.send - Called with (event, data) for each event
+ * @param {Function} options.checkAccess - Async; resolves to false once the
+ *   client's login or token is no longer valid
+ * @param {Function} options.close - Ends the connection
+ * @returns {Object} Client, for removeClient
+ */
+const addClient = ({ user, channels, send, checkAccess, close }) => {
+  const client = { user, channels, send, checkAccess, close, projectIds: undefined, checkedAt: 0, checking: null };
+  clients.add(client);
+  return client;
+};
+
+/**
+ * Forget a client whose connection closed
+ * @param {Object} client - Client from addClient
+ */
+const removeClient = (client) => {
+  clients.delete(client);
+};
+
+/**
+ * Number of clients connected to this instance
+ * @returns {number} Client count
+ */
+const clientCount = () => clients.size;
+
+/**
+ * Check again now and then that a client may still receive events and
+ * which projects it can see. Closes the client if its access has ended.
+ * @param {Object} client - Client from addClient
+ * @returns {Promise<boolean>} Whether the client is still connected
+ */
+const refreshAccess = (client) => {
+  if (Date.now() - client.checkedAt < config.realtime.accessCheckSeconds * 1000) {
+    return client.checking || Promise.resolve(clients.has(client));
+  }
+
+  client.checkedAt = Date.now();
+  client.checking = (async () => {
+    if (!await client.checkAccess()) {
+      removeClient(client);
+      client.close();
+      return false;
+    }
+    const projectIds = await Project.visibleIdsFor(client.user);
+    client.projectIds = projectIds ? new Set(projectIds.map((id) => id.toString())) : null;
+    return true;
+  })().finally(() => {
+    client.checking = null;
+  });
+  return client.checking;
+};
+
+// Whether a message is meant for a client
+const accepts = async (client, message) => {
+  const followed = message.user
+    ? client.channels.notifications
+    : client.channels.issues || client.channels.issueIds.has(message.issue);
+  if (!followed || !await refreshAccess(client)) {
+    return false;
+  }
+  if (message.user) {
+    return message.user === client.user._id.toString();
+  }
+  return client.projectIds === null || client.projectIds.has(message.project);
+};
+
+// Pass a message received from the broker to the clients it is meant for
+const dispatch = async (message) => {
+  for (const client of clients) {
+    try {
+      if (await accepts(client, message)) {
+        client.send(message.event, message.data);
+      }
+    } catch (error) {
+      console.error(`Error sending real-time event '${message.event}':`, error);
+    }
+  }
+};
+
+/**
+ * Publish an event to the clients of every instance
+ * @param {Object} message - { event, project, issue, user, data }
+ * @returns {Promise<void>}
+ */
+const publish = (message) => getBroker().publish(message);
+
+// Publish an activity entry as an issue or comment event
+const publishActivity = async (activity) => {
+  const event = ACTIVITY_EVENTS[activity.action];
+  if (!event) {
+    return;
+  }
+
+  const payload = await buildActivityPayload(event, activity);
+  await publish({
+    event,
+    project: activity.project ? activity.project.toString() : null,
+    issue: activity.issue.toString(),
+    data: JSON.parse(JSON.stringify(payload))
+  });
+};
+
+// Publish a notification to its recipient
+const publishNotification = async (notification) => {
+  await publish({
+    event: 'notification.created',
+    user: notification.recipient.toString(),
+    data: {
+      event: 'notification.created',
+      createdAt: notification.createdAt,
+      data: JSON.parse(JSON.stringify(notification))
+    }
+  });
+};
+
+/**
+ * Publish activity and notifications as they are recorded and pass
+ * events from the broker to connected clients. Failures are logged and
+ * never reach the request that caused the event.
+ */
+const startRealtime = () => {
+  getBroker().subscribe((message) => {
+    dispatch(message).catch((error) => {
+      console.error('Error dispatching real-time event:', error);
+    });
+  });
+
+  events.on('activity', (activity) => {
+    publishActivity(activity).catch((error) => {
+      console.error(`Error publishing real-time event for activity ${activity._id}:`, error);
+    });
+  });
+  events.on('notification', (notification) => {
+    publishNotification(notification).catch((error) => {
+      console.error(`Error publishing real-time event for notification ${notification._id}:`, error);
+    });
+  });
+};
+
+module.exports = {
+  registerBroker,
+  addClient,
+  removeClient,
+  refreshAccess,
+  clientCount,
+  publish,
+  startRealtime
+};
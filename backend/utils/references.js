@@ -0,0 +1,155 @@
+/**
+ * Mentions and issue references
+ *
+ * Issue descriptions and comments mention users as @username and refer to
+ * other issues as #number. The text is parsed whenever it is saved and the
+ * users and issues it names are kept in the document's mentions and
+ * references fields. Only users who can see the issue's project count as
+ * mentioned, and only issues the writer can see as referenced. Code spans
+ * and code blocks are left out.
+ *
+ * Newly mentioned users get a 'mention' notification and newly referenced
+ * issues a 'referenced' entry in their history that links back to the
+ * text. Editing a text only announces what the edit added.
+ *
+ * @module utils/references
+ */
+
+const Issue = require('../models/Issue-final');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { MAX_MENTIONS, MAX_REFERENCES } = require('../config/mentions');
+const { recordActivity } = require('./activity');
+const { notifyUsers } = require('./notifications');
+
+// Fenced code blocks (an unclosed one runs to the end) and inline code
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+// @username, unless it is part of a word, an email address or a path
+const MENTION_PATTERN = /(^|[^\w.@/-])@([a-z0-9](?:[a-z0-9_-]{0,28}[a-z0-9])?)(?!\w)/gi;
+
+// #number, unless it is part of a word, an HTML entity or a URL fragment
+const REFERENCE_PATTERN = /(^|[^\w&#/])#(\d{1,15})(?!\w)/g;
+
+/**
+ * Find the usernames and issue numbers named in a text
+ * @param {string} text - Description or comment content
+ * @returns {Object} { usernames, numbers } in order of appearance,
+ *   without duplicates and limited by config/mentions
+ */
+const parseReferences = (text) => {
+  const plain = String(text || '').replace(CODE_PATTERN, ' ');
+  const usernames = new Set();
+  const numbers = new Set();
+
+  for (const match of plain.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2].toLowerCase());
+  }
+  for (const match of plain.matchAll(REFERENCE_PATTERN)) {
+    const number = Number(match[2]);
+    if (number > 0) {
+      numbers.add(number);
+    }
+  }
+
+  return {
+    usernames: [...usernames].slice(0, MAX_MENTIONS),
+    numbers: [...numbers].slice(0, MAX_REFERENCES)
+  };
+};
+
+// Issues with the given numbers that a user can see, other than the issue
+// the text belongs to
+const findVisibleIssues = async (numbers, issue, user) => {
+  const filter = { number: { $in: numbers } };
+  if (issue._id) {
+    filter._id = { $ne: issue._id };
+  }
+  const projectIds = await Project.visibleIdsFor(user);
+  if (projectIds) {
+    filter.project = { $in: projectIds };
+  }
+  return Issue.find(filter).select('_id');
+};
+
+/**
+ * Work out the users and issues a text mentions
+ * @param {string} text - Description or comment content
+ * @param {Object} options
+ * @param {Object} options.issue - Issue the text belongs to; for a new
+ *   issue, the data it is created from
+ * @param {Object} options.project - Project of the issue
+ * @param {Object} options.user - User writing the text
+ * @returns {Promise<Object>} { mentions, references } as arrays of IDs,
+ *   to be stored on the issue or comment
+ */
+const resolveReferences = async (text, { issue, project, user }) => {
+  const { usernames, numbers } = parseReferences(text);
+
+  const [users, issues] = await Promise.all([
+    usernames.length > 0 ? User.find({ username: { $in: usernames } }).select('role') : [],
+    numbers.length > 0 ? findVisibleIssues(numbers, issue, user) : []
+  ]);
+
+  return {
+    mentions: users.filter((mentioned) => project.roleOf(mentioned)).map((mentioned) => mentioned._id),
+    references: issues.map((referenced) => referenced._id)
+  };
+};
+
+// IDs of a list that are not in an earlier list
+const addedIds = (ids, before = []) => ids.filter((id) => !before.some((old) => old.equals(id)));
+
+/**
+ * Notify the users a saved text newly mentions and add a backlink to the
+ * history of the issues it newly references. Failures are logged; the
+ * text is already saved by then.
+ * @param {Object} found - { mentions, references } from resolveReferences
+ * @param {Object} options
+ * @param {Object} options.issue - Issue the text belongs to
+ * @param {Object} [options.comment] - Comment holding the text; the
+ *   issue's description if omitted
+ * @param {Object} options.actor - User who wrote the text
+ * @param {ObjectId} [options.activity] - Activity entry of the change, if any
+ * @param {Object} [options.previous] - { mentions, references } stored
+ *   before the text was edited
+ * @returns {Promise<void>}
+ */
+const announceReferences = async ({ mentions, references }, { issue, comment, actor, activity, previous = {} }) => {
+  try {
+    const mentioned = addedIds(mentions, previous.mentions);
+    if (mentioned.length > 0) {
+      await notifyUsers({
+        type: 'mention',
+        issue,
+        actor: actor._id,
+        activity,
+        comment: comment ? comment._id : undefined,
+        recipients: mentioned,
+        message: `${actor.name} mentioned you ${comment ? 'in a comment on' : 'in'} "${issue.title}"`
+      });
+    }
+
+    const referenced = addedIds(references, previous.references);
+    if (referenced.length > 0) {
+      const targets = await Issue.find({ _id: { $in: referenced } }).select('project');
+      for (const target of targets) {
+        await recordActivity({
+          issue: target._id,
+          project: target.project,
+          actor: actor._id,
+          action: 'referenced',
+          source: { issue: issue._id, comment: comment ? comment._id : undefined }
+        });
+      }
+    }
+  } catch (error) {
+    console.error(`Error announcing mentions and references of issue ${issue._id}:`, error);
+  }
+};
+
+module.exports = {
+  parseReferences,
+  resolveReferences,
+  announceReferences
+};
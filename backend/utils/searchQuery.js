@@ -0,0 +1,377 @@
+/**
+ * Issue search query language
+ *
+ * Parses search strings such as
+ *
+ *     login "error message" status:Open priority:High assignee:me
+ *     is:overdue sla:at-risk created:>2026-01-01 -label:wontfix
+ *
+ * into free-text terms and field qualifiers, and turns the qualifiers
+ * into a MongoDB filter. Syntax rules:
+ * - words and "quoted phrases" are searched in titles, descriptions and
+ *   comments
+ * - `name:value` restricts a field; values with spaces must be quoted
+ * - a leading `-` negates a word, phrase or qualifier
+ * - dates accept `>`, `>=`, `<`, `<=` prefixes or a `from..to` range
+ *
+ * Errors are reported as SearchSyntaxError with the zero-based character
+ * position of the offending token.
+ *
+ * @module utils/searchQuery
+ */
+
+const mongoose = require('mongoose');
+const { isValidObjectId } = require('./helpers');
+const { statusesIn } = require('../config/workflow');
+
+/**
+ * Error raised for malformed search queries
+ */
+class SearchSyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position})`);
+    this.name = 'SearchSyntaxError';
+    this.status = 400;
+    this.position = position;
+    this.reason = message;
+  }
+}
+
+const isWhitespace = (char) => /\s/.test(char);
+
+// Read a double-quoted string starting at `start`. Returns { text, end }.
+const readQuoted = (input, start) => {
+  const close = input.indexOf('"', start + 1);
+  if (close === -1) {
+    throw new SearchSyntaxError('Unterminated quote', start);
+  }
+  return { text: input.slice(start + 1, close), end: close + 1 };
+};
+
+// Read characters up to the next whitespace. Returns { text, end }.
+const readBare = (input, start) => {
+  let end = start;
+  while (end < input.length && !isWhitespace(input[end])) {
+    end++;
+  }
+  return { text: input.slice(start, end), end };
+};
+
+/**
+ * Split a search string into terms and qualifiers
+ * @param {string} input - Search string
+ * @returns {Object} { terms: [{ text, phrase, negated, position }],
+ *   qualifiers: [{ name, value, negated, position, valuePosition }] }
+ * @throws {SearchSyntaxError} On malformed input
+ */
+const parseSearchQuery = (input) => {
+  const terms = [];
+  const qualifiers = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (isWhitespace(input[index])) {
+      index++;
+      continue;
+    }
+
+    const position = index;
+    let negated = false;
+    if (input[index] === '-') {
+      negated = true;
+      index++;
+      if (index >= input.length || isWhitespace(input[index])) {
+        throw new SearchSyntaxError("Expected a term after '-'", position);
+      }
+    }
+
+    if (input[index] === '"') {
+      const { text, end } = readQuoted(input, index);
+      if (text.trim()) {
+        terms.push({ text: text.trim(), phrase: true, negated, position });
+      }
+      index = end;
+      continue;
+    }
+
+    const qualifierMatch = /^([a-zA-Z_]+):/.exec(input.slice(index));
+    if (qualifierMatch) {
+      const name = qualifierMatch[1].toLowerCase();
+      const valuePosition = index + qualifierMatch[0].length;
+
+      if (valuePosition >= input.length || isWhitespace(input[valuePosition])) {
+        throw new SearchSyntaxError(`Missing value for qualifier '${name}'`, valuePosition);
+      }
+
+      const { text, end } = input[valuePosition] === '"'
+        ? readQuoted(input, valuePosition)
+        : readBare(input, valuePosition);
+
+      qualifiers.push({ name, value: text.trim(), negated, position, valuePosition });
+      index = end;
+      continue;
+    }
+
+    const { text, end } = readBare(input, index);
+    if (text.includes('"')) {
+      throw new SearchSyntaxError('Unexpected quote inside a word', index + text.indexOf('"'));
+    }
+    terms.push({ text, phrase: false, negated, position });
+    index = end;
+  }
+
+  return { terms, qualifiers };
+};
+
+// Match a qualifier value against enum values, ignoring case and
+// accepting '-' or '_' for spaces (e.g. status:in-progress)
+const matchEnumValue = (qualifier, allowed) => {
+  const normalized = qualifier.value.toLowerCase().replace(/[-_]/g, ' ');
+  const match = allowed.find((value) => value.toLowerCase() === normalized);
+  if (!match) {
+    throw new SearchSyntaxError(
+      `Invalid ${qualifier.name} '${qualifier.value}'; expected one of: ${allowed.join(', ')}`,
+      qualifier.valuePosition
+    );
+  }
+  return match;
+};
+
+const parseDateValue = (text, qualifier) => {
+  const date = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/.test(text) ? new Date(text) : null;
+  if (!date || isNaN(date.getTime())) {
+    throw new SearchSyntaxError(
+      `Invalid date '${text}' for ${qualifier.name}; use YYYY-MM-DD`,
+      qualifier.valuePosition
+    );
+  }
+  return date;
+};
+
+// Turn a date qualifier value into a range condition
+const buildDateCondition = (qualifier) => {
+  const { value } = qualifier;
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    const range = {};
+    if (from) range.$gte = parseDateValue(from, qualifier);
+    if (to) range.$lt = new Date(parseDateValue(to, qualifier).getTime() + dayMs);
+    return range;
+  }
+
+  const operatorMatch = /^(>=|<=|>|<)(.*)$/.exec(value);
+  if (operatorMatch) {
+    const operators = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+    return { [operators[operatorMatch[1]]]: parseDateValue(operatorMatch[2], qualifier) };
+  }
+
+  // A bare date matches the whole day
+  const day = parseDateValue(value, qualifier);
+  return { $gte: day, $lt: new Date(day.getTime() + dayMs) };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find a user by ID, email or exact name (case-insensitive)
+const resolveUserIds = async (qualifier, context) => {
+  const { value } = qualifier;
+  if (value.toLowerCase() === 'me') {
+    return [context.user._id];
+  }
+  if (isValidObjectId(value)) {
+    return [new mongoose.Types.ObjectId(value)];
+  }
+
+  const users = await context.User.find({
+    $or: [
+      { email: value.toLowerCase() },
+      { name: new RegExp(`^${escapeRegex(value)}$`, 'i') }
+    ]
+  }).select('_id');
+  return users.map((user) => user._id);
+};
+
+/**
+ * Builders for each supported qualifier. Each receives the qualifier and
+ * the search context and returns a MongoDB condition.
+ */
+const QUALIFIERS = {
+  status: async (qualifier, { Issue }) => ({
+    status: matchEnumValue(qualifier, Issue.schema.path('status').enumValues)
+  }),
+
+  priority: async (qualifier, { Issue }) => ({
+    priority: matchEnumValue(qualifier, Issue.schema.path('priority').enumValues)
+  }),
+
+  severity: async (qualifier, { Issue }) => ({
+    severity: matchEnumValue(qualifier, Issue.schema.path('severity').enumValues)
+  }),
+
+  category: async (qualifier, { Issue }) => ({
+    category: matchEnumValue(qualifier, Issue.schema.path('category').enumValues)
+  }),
+
+  label: async (qualifier, { Label }) => {
+    if (qualifier.value.toLowerCase() === 'none') {
+      return { 'labels.0': { $exists: false } };
+    }
+    const label = await Label.findOne({ name: qualifier.value })
+      .collation({ locale: 'en', strength: 2 })
+      .select('_id');
+    // An unknown label matches no issues
+    return { labels: label ? label._id : { $in: [] } };
+  },
+
+  milestone: async (qualifier, { Milestone }) => {
+    if (qualifier.value.toLowerCase() === 'none') {
+      return { milestone: null };
+    }
+    // Names are only unique within a project, so match all milestones with the name
+    const milestoneIds = await Milestone.find({ name: qualifier.value })
+      .collation({ locale: 'en', strength: 2 })
+      .distinct('_id');
+    return { milestone: { $in: milestoneIds } };
+  },
+
+  assignee: async (qualifier, context) => {
+    if (qualifier.value.toLowerCase() === 'none') {
+      return context.Issue.unassignedFilter();
+    }
+    return { assignees: { $in: await resolveUserIds(qualifier, context) } };
+  },
+
+  author: async (qualifier, context) => ({
+    author: { $in: await resolveUserIds(qualifier, context) }
+  }),
+
+  is: async (qualifier, { Issue }) => {
+    switch (qualifier.value.toLowerCase()) {
+      case 'open':
+        return { status: { $in: statusesIn('open', 'in_progress') } };
+      case 'closed':
+        return { status: { $in: statusesIn('done') } };
+      case 'overdue':
+        return { $and: [{ status: { $in: statusesIn('open', 'in_progress') } }, Issue.overdueFilter()] };
+      case 'unassigned':
+        return Issue.unassignedFilter();
+      default:
+        throw new SearchSyntaxError(
+          `Unknown value '${qualifier.value}' for is; expected open, closed, overdue or unassigned`,
+          qualifier.valuePosition
+        );
+    }
+  },
+
+  sla: async (qualifier, { Issue }) => {
+    const states = Issue.schema.path('sla.state').enumValues;
+    const state = qualifier.value.toLowerCase().replace(/-/g, '_');
+    if (!states.includes(state)) {
+      throw new SearchSyntaxError(
+        `Unknown value '${qualifier.value}' for sla; expected on-track, at-risk or breached`,
+        qualifier.valuePosition
+      );
+    }
+    return { 'sla.state': state };
+  },
+
+  due: async (qualifier) => (qualifier.value.toLowerCase() === 'none'
+    ? { dueDate: null }
+    : { dueDate: buildDateCondition(qualifier) }),
+
+  created: async (qualifier) => ({ createdAt: buildDateCondition(qualifier) }),
+
+  updated: async (qualifier) => ({ updatedAt: buildDateCondition(qualifier) })
+};
+
+/**
+ * Build the MongoDB filter for the qualifiers of a parsed query
+ * @param {Object[]} qualifiers - Qualifiers from parseSearchQuery
+ * @param {Object} context - { Issue, User, Label, Milestone, user } where user is the searcher
+ * @returns {Promise<Object>} MongoDB filter
+ * @throws {SearchSyntaxError} For unknown qualifiers or invalid values
+ */
+const buildQualifierFilter = async (qualifiers, context) => {
+  const conditions = [];
+
+  for (const qualifier of qualifiers) {
+    const builder = QUALIFIERS[qualifier.name];
+    if (!builder) {
+      throw new SearchSyntaxError(
+        `Unknown qualifier '${qualifier.name}'; supported: ${Object.keys(QUALIFIERS).join(', ')}`,
+        qualifier.position + (qualifier.negated ? 1 : 0)
+      );
+    }
+
+    const condition = await builder(qualifier, context);
+    conditions.push(qualifier.negated ? { $nor: [condition] } : condition);
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Build the $search string for a MongoDB $text query
+ * @param {Object[]} terms - Terms from parseSearchQuery
+ * @returns {string} Text search expression
+ */
+const buildTextSearch = (terms) => terms
+  .map((term) => {
+    const text = term.phrase ? `"${term.text.replace(/"/g, '')}"` : term.text;
+    return term.negated ? `-${text}` : text;
+  })
+  .join(' ');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build a highlighted snippet of a text around the first matching term.
+ * The text is HTML-escaped and matches are wrapped in <mark> tags.
+ * @param {string} text - Field content
+ * @param {Object[]} terms - Positive search terms
+ * @param {number} [radius=60] - Characters of context on each side
+ * @returns {string|null} Snippet, or null if no term occurs in the text
+ */
+const highlight = (text, terms, radius = 60) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(terms.map((term) => escapeRegex(term.text)).join('|'), 'gi');
+  const first = pattern.exec(text);
+  if (!first) {
+    return null;
+  }
+
+  const start = Math.max(0, first.index - radius);
+  const end = Math.min(text.length, first.index + first[0].length + radius);
+  const excerpt = text.slice(start, end);
+
+  // Terms are found in the raw text and each piece escaped on its own, so
+  // a term never matches inside an entity such as &lt;
+  let marked = '';
+  let last = 0;
+  pattern.lastIndex = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    marked += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  marked += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  SearchSyntaxError,
+  QUALIFIERS,
+  parseSearchQuery,
+  buildQualifierFilter,
+  buildTextSearch,
+  highlight,
+  escapeRegex
+};
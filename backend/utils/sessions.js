@@ -0,0 +1,156 @@
+/**
+ * Session and token management
+ *
+ * Access tokens are short-lived JWTs that carry the user id and the id of
+ * the session they belong to. Refresh tokens have the form
+ * `<sessionId>.<secret>`; only a hash of the secret is stored, and a new
+ * secret is issued every time the refresh token is used.
+ *
+ * @module utils/sessions
+ */
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const config = require('../config/config');
+const { generateRandomToken, hashToken, isValidObjectId } = require('./helpers');
+
+/**
+ * Error raised when a refresh token cannot be used
+ */
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = 401;
+  }
+}
+
+const refreshTokenTtlMs = () => config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+
+/**
+ * Sign an access token for a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Signed JWT
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: config.auth.accessTokenExpiresIn
+  });
+};
+
+/**
+ * Build the token payload returned to clients
+ * @param {Object} session - Session document
+ * @param {string} secret - Plain refresh token secret
+ * @returns {Object} { token, refreshToken, refreshTokenExpiresAt }
+ */
+const buildTokens = (session, secret) => ({
+  token: generateAccessToken(session.user.toString(), session.id),
+  refreshToken: `${session.id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Describe the client that made a request
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip || ''
+});
+
+/**
+ * Start a new session for a user and issue its tokens
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used to record the device
+ * @returns {Promise<Object>} Token payload (see buildTokens)
+ */
+const createSession = async (user, req) => {
+  const secret = generateRandomToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + refreshTokenTtlMs())
+  });
+
+  return buildTokens(session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * Presenting an already used refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Token payload (see buildTokens)
+ * @throws {SessionError} If the token is invalid, expired or revoked
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!isValidObjectId(sessionId) || !secret) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive()) {
+    throw new SessionError('Session has expired or been revoked');
+  }
+
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    session.revokedAt = new Date();
+    await session.save();
+    throw new SessionError('Refresh token has already been used');
+  }
+
+  const newSecret = generateRandomToken();
+  session.refreshTokenHash = hashToken(newSecret);
+  session.lastUsedAt = new Date();
+  Object.assign(session, getClientInfo(req));
+  await session.save();
+
+  return buildTokens(session, newSecret);
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every active personal access token of a user, e.g. when the
+ * password changes so that tokens created by someone else stop working
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of revoked tokens
+ */
+const revokeUserTokens = async (userId) => {
+  const result = await PersonalAccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  SessionError,
+  generateAccessToken,
+  createSession,
+  rotateSession,
+  revokeUserSessions,
+  revokeUserTokens
+};
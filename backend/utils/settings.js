@@ -0,0 +1,67 @@
+/**
+ * Runtime settings
+ *
+ * Reads and writes documents of the Setting collection. Values are cached
+ * per process for a short time because some settings are checked on
+ * every request.
+ *
+ * @module utils/settings
+ */
+
+const Setting = require('../models/Setting');
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+/**
+ * Default values of known settings
+ * @type {Object<string, Object>}
+ */
+const DEFAULTS = {
+  security: {
+    // Roles whose members must enable two-factor authentication
+    requireTwoFactorRoles: []
+  }
+};
+
+/**
+ * Get a setting, merged over its default value
+ * @param {string} key - Setting key
+ * @returns {Promise<Object>} Setting value
+ */
+const getSetting = async (key) => {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const setting = await Setting.findOne({ key }).lean();
+  const value = { ...DEFAULTS[key], ...(setting ? setting.value : {}) };
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+};
+
+/**
+ * Update a setting
+ * @param {string} key - Setting key
+ * @param {Object} value - Fields to change
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object>} New setting value
+ */
+const updateSetting = async (key, value, userId) => {
+  const current = await getSetting(key);
+  const merged = { ...current, ...value };
+
+  await Setting.findOneAndUpdate(
+    { key },
+    { value: merged, updatedBy: userId },
+    { upsert: true }
+  );
+  cache.delete(key);
+  return merged;
+};
+
+module.exports = {
+  getSetting,
+  updateSetting
+};
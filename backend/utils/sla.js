@@ -0,0 +1,168 @@
+/**
+ * SLA deadlines and states
+ *
+ * Computes the response and resolution deadlines of an issue from the
+ * policy in config/sla, counting either around the clock or only during
+ * business hours, and works out whether the issue is on track, at risk
+ * or has breached its SLA.
+ *
+ * @module utils/sla
+ */
+
+const { sla, policyFor } = require('../config/sla');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Upper bound for walking the business-hours calendar, in days
+const MAX_CALENDAR_DAYS = 3660;
+
+const formatters = new Map();
+
+// Wall-clock date and time of an instant in a time zone
+const localParts = (date, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const part of formatters.get(timeZone).formatToParts(date)) {
+    if (part.type !== 'literal') {
+      parts[part.type] = Number(part.value);
+    }
+  }
+  return parts;
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const offsetAt = (date, timeZone) => {
+  const parts = localParts(date, timeZone);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which a wall-clock time occurs in a time zone. The offset is
+// looked up twice so times next to a daylight saving change come out right.
+const toInstant = (year, month, day, minutes, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wall - offsetAt(new Date(wall), timeZone);
+  return wall - offsetAt(new Date(guess), timeZone);
+};
+
+/**
+ * Add working time to a point in time
+ * @param {Date} start - Start time
+ * @param {number} ms - Working time to add, in milliseconds
+ * @param {Object|null} calendar - Normalized business-hours calendar from
+ *   config/sla, or null to count around the clock
+ * @returns {Date|null} End time, or null if the calendar has no working
+ *   time in the next ten years
+ */
+const addBusinessTime = (start, ms, calendar) => {
+  if (!calendar) {
+    return new Date(start.getTime() + ms);
+  }
+
+  const { timezone, days, startMinutes, endMinutes, holidays } = calendar;
+  const first = localParts(start, timezone);
+  let remaining = ms;
+
+  for (let offset = 0; offset < MAX_CALENDAR_DAYS; offset++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const isWorkingDay = days.includes(date.getUTCDay()) &&
+      !holidays.includes(date.toISOString().slice(0, 10));
+    if (!isWorkingDay) {
+      continue;
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const open = toInstant(year, month, day, startMinutes, timezone);
+    const close = toInstant(year, month, day, endMinutes, timezone);
+    const from = Math.max(start.getTime(), open);
+
+    if (from < close) {
+      if (remaining <= close - from) {
+        return new Date(from + remaining);
+      }
+      remaining -= close - from;
+    }
+  }
+  return null;
+};
+
+/**
+ * Work out the SLA state from deadlines and completion times
+ * @param {Object} fields - SLA fields of an issue
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {string|null} on_track, at_risk or breached; null without a policy
+ */
+const slaState = (fields, now = new Date()) => {
+  if (!fields.policy) {
+    return null;
+  }
+
+  const targets = [
+    { dueAt: fields.responseDueAt, atRiskAt: fields.responseAtRiskAt, metAt: fields.respondedAt },
+    { dueAt: fields.resolutionDueAt, atRiskAt: fields.resolutionAtRiskAt, metAt: fields.resolvedAt }
+  ];
+
+  const breached = targets.some(({ dueAt, metAt }) => dueAt && (metAt ? metAt > dueAt : now >= dueAt));
+  if (breached) {
+    return 'breached';
+  }
+  const atRisk = targets.some(({ atRiskAt, metAt }) => !metAt && atRiskAt && now >= atRiskAt);
+  return atRisk ? 'at_risk' : 'on_track';
+};
+
+/**
+ * Compute the SLA deadlines of an issue from the policy that applies to it.
+ * Deadlines count from the issue's creation, so changing the priority
+ * moves them without restarting the clock.
+ * @param {Object} issue - Issue with priority, severity, createdAt and sla
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Object} SLA fields: policy, responseDueAt, responseAtRiskAt,
+ *   respondedAt, resolutionDueAt, resolutionAtRiskAt, resolvedAt and state
+ */
+const computeSla = (issue, now = new Date()) => {
+  const current = issue.sla || {};
+  const policy = policyFor(issue);
+  const fields = {
+    policy: policy ? policy.name : null,
+    responseDueAt: null,
+    responseAtRiskAt: null,
+    respondedAt: current.respondedAt || null,
+    resolutionDueAt: null,
+    resolutionAtRiskAt: null,
+    resolvedAt: current.resolvedAt || null
+  };
+
+  if (policy) {
+    const start = issue.createdAt || now;
+    const calendar = policy.businessHours ? sla.businessHours : null;
+    const deadline = (hours) => addBusinessTime(start, hours * HOUR_MS, calendar);
+
+    fields.responseDueAt = deadline(policy.responseHours);
+    fields.responseAtRiskAt = deadline(policy.responseHours * sla.atRiskRatio);
+    fields.resolutionDueAt = deadline(policy.resolutionHours);
+    fields.resolutionAtRiskAt = deadline(policy.resolutionHours * sla.atRiskRatio);
+  }
+
+  fields.state = slaState(fields, now);
+  return fields;
+};
+
+module.exports = {
+  addBusinessTime,
+  slaState,
+  computeSla
+};
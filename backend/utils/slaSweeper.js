@@ -0,0 +1,73 @@
+/**
+ * SLA state sweeper
+ *
+ * The SLA state stored on an issue is updated whenever the issue is
+ * saved, but an untouched issue also becomes at risk or breached as time
+ * passes. The sweeper runs periodically and moves unfinished issues whose
+ * thresholds have passed to their new state, so the stored state can be
+ * filtered and counted.
+ *
+ * @module utils/slaSweeper
+ */
+
+const Issue = require('../models/Issue-final');
+const { statusesIn } = require('../config/workflow');
+
+/**
+ * Update the SLA state of unfinished issues whose thresholds have passed
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object>} Number of issues changed: { atRisk, breached }
+ */
+const sweepSlaStates = async (now = new Date()) => {
+  const unfinished = { status: { $nin: statusesIn('done') } };
+
+  // Leave updatedAt alone; the issue itself did not change
+  const breached = await Issue.updateMany(
+    {
+      ...unfinished,
+      'sla.state': { $in: ['on_track', 'at_risk'] },
+      $or: [
+        { 'sla.respondedAt': null, 'sla.responseDueAt': { $lte: now } },
+        { 'sla.resolutionDueAt': { $lte: now } }
+      ]
+    },
+    { $set: { 'sla.state': 'breached' } },
+    { timestamps: false }
+  );
+
+  const atRisk = await Issue.updateMany(
+    {
+      ...unfinished,
+      'sla.state': 'on_track',
+      $or: [
+        { 'sla.respondedAt': null, 'sla.responseAtRiskAt': { $lte: now } },
+        { 'sla.resolutionAtRiskAt': { $lte: now } }
+      ]
+    },
+    { $set: { 'sla.state': 'at_risk' } },
+    { timestamps: false }
+  );
+
+  return { atRisk: atRisk.modifiedCount, breached: breached.modifiedCount };
+};
+
+/**
+ * Run the sweeper at a fixed interval. The timer does not keep the
+ * process alive.
+ * @param {number} intervalSeconds - Time between sweeps
+ * @returns {NodeJS.Timeout} Timer, for clearInterval
+ */
+const startSlaSweeper = (intervalSeconds) => {
+  const timer = setInterval(() => {
+    sweepSlaStates().catch((error) => {
+      console.error('SLA sweep failed:', error);
+    });
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  sweepSlaStates,
+  startSlaSweeper
+};
@@ -0,0 +1,236 @@
+/**
+ * File storage
+ *
+ * Keeps uploaded files (attachments, profile pictures) in a pluggable
+ * driver selected with the STORAGE_DRIVER setting. Two drivers are built in:
+ * - `local`: files on disk under STORAGE_LOCAL_DIR (default)
+ * - `s3`: an S3-compatible bucket (AWS S3, MinIO, ...) from the S3_* settings
+ *
+ * Files are addressed by keys such as `attachments/<name>` and are never
+ * served statically. Clients download them through signed links that
+ * expire after STORAGE_SIGNED_URL_TTL_SECONDS: presigned URLs for s3, and
+ * links to GET /api/files (see routes/fileRoutes) for local.
+ *
+ * Additional drivers can be added with `registerStorageDriver`. A driver
+ * factory receives the storage configuration and returns an object with
+ * async `put(key, data, { contentType })`, `get(key)` (a readable stream,
+ * or null if the file does not exist), `remove(key)` and
+ * `signedUrl(key, { contentType, disposition, expiresIn })` methods.
+ *
+ * @module utils/storage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presignUrl } = require('@aws-sdk/s3-request-presigner');
+const config = require('../config/config');
+
+// Path the routes serving files of the local driver are mounted at
+const LOCAL_FILES_PATH = '/api/files';
+
+/**
+ * Build a Content-Disposition header value
+ * @param {string} filename - Name the file is saved as
+ * @param {boolean} [inline=false] - Let browsers display the file
+ * @returns {string} Header value
+ */
+const contentDisposition = (filename, inline = false) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${inline ? 'inline' : 'attachment'}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Signature of a local download link
+const signLocal = (key, expires, contentType, disposition) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(['file-download', key, expires, contentType, disposition].join('\n'))
+  .digest('hex');
+
+/**
+ * Check a download link issued by the local driver
+ * @param {string} key - Storage key from the link path
+ * @param {Object} query - Query parameters of the link
+ * @returns {Object|null} { contentType, disposition, expires }, or null if
+ *   the link was not issued by this server or has expired
+ */
+const verifyLocalUrl = (key, query) => {
+  const { expires, type = '', disposition = '', signature } = query;
+  const expected = signLocal(key, expires, type, disposition);
+  if (typeof signature !== 'string' || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  if (!(Number(expires) * 1000 > Date.now())) {
+    return null;
+  }
+  return { contentType: type, disposition, expires: Number(expires) };
+};
+
+const createLocalDriver = (storageConfig) => {
+  const root = path.resolve(storageConfig.localDir);
+
+  // Keys are relative paths; refuse any that would leave the root
+  const pathOf = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, data) => {
+      const filePath = pathOf(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+    },
+    get: async (key) => {
+      const filePath = pathOf(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(pathOf(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+    signedUrl: async (key, { contentType = '', disposition = '', expiresIn }) => {
+      const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+      const query = new URLSearchParams({
+        expires,
+        type: contentType,
+        disposition,
+        signature: signLocal(key, expires, contentType, disposition)
+      });
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+      return `${LOCAL_FILES_PATH}/${encodedKey}?${query}`;
+    }
+  };
+};
+
+const createS3Driver = (storageConfig) => {
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = storageConfig.s3;
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  // Without explicit keys the SDK looks for credentials in the usual
+  // places (environment, shared config, instance role)
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    put: async (key, data, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType
+      }));
+    },
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    // Deleting a missing object succeeds, as with the local driver
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    signedUrl: (key, { contentType, disposition, expiresIn }) => presignUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      ResponseContentType: contentType || undefined,
+      ResponseContentDisposition: disposition || undefined
+    }), { expiresIn })
+  };
+};
+
+const driverFactories = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+let activeDriver = null;
+
+/**
+ * Register a storage driver
+ * @param {string} name - Driver name used in STORAGE_DRIVER
+ * @param {Function} factory - Receives the storage config, returns a driver
+ */
+const registerStorageDriver = (name, factory) => {
+  driverFactories[name] = factory;
+  activeDriver = null;
+};
+
+/**
+ * The configured storage driver
+ * @returns {Object} Driver with put, get, remove and signedUrl
+ */
+const getStorage = () => {
+  if (!activeDriver) {
+    const factory = driverFactories[config.storage.driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+    activeDriver = factory(config.storage);
+  }
+  return activeDriver;
+};
+
+/**
+ * Create an expiring download link for a stored file
+ * @param {string} key - Storage key
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Name the file is downloaded as
+ * @param {string} [options.contentType] - Content type to send
+ * @param {boolean} [options.inline=false] - Let browsers display the file
+ * @param {number} [options.expiresIn] - Lifetime in seconds, by default
+ *   STORAGE_SIGNED_URL_TTL_SECONDS
+ * @returns {Promise<Object>} { url, expiresAt }; url is relative to the
+ *   API for the local driver
+ */
+const getSignedUrl = async (key, { filename, contentType, inline = false, expiresIn = config.storage.signedUrlTtlSeconds } = {}) => {
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  const url = await getStorage().signedUrl(key, {
+    contentType,
+    disposition: filename ? contentDisposition(filename, inline) : '',
+    expiresIn
+  });
+  return { url, expiresAt };
+};
+
+module.exports = {
+  LOCAL_FILES_PATH,
+  contentDisposition,
+  verifyLocalUrl,
+  registerStorageDriver,
+  getStorage,
+  getSignedUrl
+};
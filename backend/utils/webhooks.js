@@ -0,0 +1,245 @@
+/**
+ * Webhook deliveries
+ *
+ * Sends issue events to the webhooks subscribed to them. Each event is
+ * stored as a delivery and POSTed as JSON with these headers:
+ * - `X-Webhook-Event`: event name, e.g. issue.created
+ * - `X-Webhook-Delivery`: delivery ID, the same for every retry
+ * - `X-Webhook-Signature`: `sha256=` followed by the hex HMAC-SHA256 of
+ *   the request body, keyed with the webhook's secret
+ *
+ * A 2xx answer completes the delivery. Anything else is retried with
+ * exponential backoff (WEBHOOK_RETRY_BASE_SECONDS, doubled each time)
+ * until WEBHOOK_MAX_ATTEMPTS attempts have been made. Every attempt is
+ * kept with its response code in the delivery log.
+ *
+ * @module utils/webhooks
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const { ACTIVITY_EVENTS, PING_EVENT } = require('../config/webhooks');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const events = require('./events');
+const { buildActivityPayload } = require('./activityPayload');
+
+// Longest part of a response body kept in the delivery log
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Deliveries handled per run of the retry worker
+const RETRY_BATCH_SIZE = 50;
+
+/**
+ * Sign a request body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Request body
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+/**
+ * Time of the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @param {Date} now - Time of the failed attempt
+ * @returns {Date} When to try again
+ */
+const nextRetryAt = (attempts, now) => new Date(
+  now.getTime() + config.webhooks.retryBaseSeconds * 1000 * 2 ** (attempts - 1)
+);
+
+// Take a due delivery for this process so that it is not attempted twice
+// at the same time; the lease runs out if the process dies mid-attempt
+const claimDelivery = (deliveryId, now) => WebhookDelivery.findOneAndUpdate(
+  { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+  { $set: { nextAttemptAt: new Date(now.getTime() + config.webhooks.timeoutMs + 60 * 1000) } },
+  { new: true }
+);
+
+/**
+ * Make one attempt to deliver a delivery and record the result
+ * @param {Object} delivery - Delivery document
+ * @param {Object} [options]
+ * @param {boolean} [options.retry=true] - Schedule a retry if the attempt fails
+ * @returns {Promise<Object>} Updated delivery
+ */
+const attemptDelivery = async (delivery, { retry = true } = {}) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const startedAt = new Date();
+  const attempt = { at: startedAt, responseStatus: null, responseBody: '', error: null };
+
+  if (!webhook || !webhook.active) {
+    attempt.error = 'Webhook was deleted or disabled';
+    retry = false;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'IssueTracker-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Signature': signPayload(webhook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      });
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `No response within ${config.webhooks.timeoutMs} ms`
+        : (error.cause && error.cause.message) || error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt.getTime();
+
+  delivery.attempts.push(attempt);
+  if (attempt.responseStatus >= 200 && attempt.responseStatus < 300) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+  } else if (!retry || delivery.attempts.length >= config.webhooks.maxAttempts) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.nextAttemptAt = nextRetryAt(delivery.attempts.length, startedAt);
+  }
+  return delivery.save();
+};
+
+/**
+ * Create a delivery and make its first attempt
+ * @param {Object} webhook - Webhook document
+ * @param {string} event - Event name
+ * @param {Object} payload - Payload to send
+ * @param {Object} [options]
+ * @param {ObjectId} [options.redeliveryOf] - Delivery being repeated
+ * @param {boolean} [options.retry=true] - Retry if the first attempt fails
+ * @returns {Promise<Object>} Delivery after the first attempt
+ */
+const deliver = async (webhook, event, payload, { redeliveryOf = null, retry = true } = {}) => {
+  const delivery = await WebhookDelivery.create({ webhook: webhook._id, event, payload, redeliveryOf });
+  const claimed = await claimDelivery(delivery._id, new Date());
+  return claimed ? attemptDelivery(claimed, { retry }) : delivery;
+};
+
+/**
+ * Send an activity entry to the webhooks subscribed to its event
+ * @param {Object} activity - Activity document
+ * @returns {Promise<Object[]>} Deliveries after their first attempt
+ */
+const handleActivity = async (activity) => {
+  const event = ACTIVITY_EVENTS[activity.action];
+  if (!event) {
+    return [];
+  }
+
+  const webhooks = await Webhook.find({
+    active: true,
+    events: event,
+    project: { $in: [null, activity.project] }
+  });
+  if (webhooks.length === 0) {
+    return [];
+  }
+
+  const payload = await buildActivityPayload(event, activity);
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    deliveries.push(await deliver(webhook, event, payload));
+  }
+  return deliveries;
+};
+
+/**
+ * Send a test event to a webhook. It is attempted once and not retried.
+ * @param {Object} webhook - Webhook document
+ * @param {Object} user - User who asked for the ping
+ * @returns {Promise<Object>} Delivery after the attempt
+ */
+const sendPing = (webhook, user) => deliver(webhook, PING_EVENT, {
+  event: PING_EVENT,
+  createdAt: new Date(),
+  data: {
+    webhook: { _id: webhook._id, name: webhook.name, events: webhook.events, project: webhook.project },
+    sentBy: { _id: user._id, name: user.name }
+  }
+}, { retry: false });
+
+/**
+ * Send the payload of an earlier delivery again as a new delivery
+ * @param {Object} delivery - Delivery to repeat
+ * @returns {Promise<Object>} New delivery after its first attempt
+ */
+const redeliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook);
+  return deliver(webhook, delivery.event, delivery.payload, {
+    redeliveryOf: delivery._id,
+    retry: delivery.event !== PING_EVENT
+  });
+};
+
+/**
+ * Attempt the pending deliveries whose retry time has come
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+const processDueDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id');
+
+  let attempted = 0;
+  for (const { _id } of due) {
+    const delivery = await claimDelivery(_id, now);
+    if (delivery) {
+      await attemptDelivery(delivery);
+      attempted++;
+    }
+  }
+  return attempted;
+};
+
+/**
+ * Send issue events to webhooks as activity is recorded. Failures are
+ * logged and never reach the request that recorded the activity.
+ */
+const startWebhooks = () => {
+  events.on('activity', (activity) => {
+    handleActivity(activity).catch((error) => {
+      console.error(`Error sending webhooks for activity ${activity._id}:`, error);
+    });
+  });
+};
+
+/**
+ * Retry failed deliveries at a fixed interval. The timer does not keep
+ * the process alive.
+ * @param {number} intervalSeconds - Time between runs
+ * @returns {NodeJS.Timeout} Timer, for clearInterval
+ */
+const startWebhookRetries = (intervalSeconds) => {
+  const timer = setInterval(() => {
+    processDueDeliveries().catch((error) => {
+      console.error('Webhook retry run failed:', error);
+    });
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  signPayload,
+  nextRetryAt,
+  attemptDelivery,
+  handleActivity,
+  sendPing,
+  redeliver,
+  processDueDeliveries,
+  startWebhooks,
+  startWebhookRetries
+};